@@ -6,34 +6,74 @@ import {hideBin} from 'yargs/helpers';
 
 // utils import
 import Utils from './utils/utils.js';
+import CliError from './utils/errors/base.js';
+import UsageError from './utils/errors/usage.js';
 
 // command imports
 import Ls from './utils/commands/ls.js';
 import Logs from './utils/commands/logs.js';
 import Stop from './utils/commands/stop.js';
+import Cache from './utils/commands/cache.js';
 import Flush from './utils/commands/flush.js';
+import Doctor from './utils/commands/doctor.js';
+import Switch from './utils/commands/switch.js';
 import Backup from './utils/commands/backup.js';
 import Update from './utils/commands/update.js';
+import Config from './utils/commands/config.js';
+import Status from './utils/commands/status.js';
+import Startup from './utils/commands/startup.js';
 import Migrate from './utils/commands/migrate.js';
 import Install from './utils/commands/install.js';
 import Restart from './utils/commands/restart.js';
+import Restore from './utils/commands/restore.js';
+import Releases from './utils/commands/releases.js';
 import Uninstall from './utils/commands/uninstall.js';
 
 // start yargs
-yargs(hideBin(process.argv))
+const cli = yargs(hideBin(process.argv))
     .usage('ghosler [cmd]')
+    .option('json', {
+        type: 'boolean',
+        global: true,
+        description: 'Print a single JSON result instead of the progress messages.',
+    })
+    .middleware((argv) => {
+        if (argv.json) Utils.enableJsonOutput(argv._.join(' '));
+    })
     .command(Ls.yargsCommand())
+    .command(Status.yargsCommand())
     .command(Stop.yargsCommand())
     .command(Logs.yargsCommand())
+    .command(Cache.yargsCommand())
     .command(Flush.yargsCommand())
+    .command(Doctor.yargsCommand())
+    .command(Startup.yargsCommand())
     .command(Update.yargsCommand())
+    .command(Config.yargsCommand())
+    .command(Switch.yargsCommand())
     .command(Backup.yargsCommand())
     .command(Migrate.yargsCommand())
     .command(Install.yargsCommand())
     .command(Restart.yargsCommand())
+    .command(Restore.yargsCommand())
+    .command(Releases.yargsCommand())
     .command(Uninstall.yargsCommand())
     .help()
     .version(Utils.cliPackageVersion)
     .alias('h', 'help')
     .alias('v', 'version')
-    .argv;
\ No newline at end of file
+    .fail((message, error) => {
+        throw error ?? new UsageError(`${message}\nUse \`--help\` to see the usage.`);
+    });
+
+// the commands throw a `CliError` when they fail, report it & exit with its code.
+let failure = null;
+try {
+    await cli.parseAsync();
+} catch (error) {
+    failure = CliError.from(error);
+    Utils.logFail(failure.message);
+    process.exitCode = failure.exitCode;
+}
+
+Utils.printJsonOutput(failure);
\ No newline at end of file
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import yauzl from 'yauzl';
+
+/**
+ * A class to inspect zip archives, the backups & the downloaded releases, without extracting them.
+ */
+export default class Archive {
+
+    /**
+     * Read a single entry of a zip archive in memory.
+     *
+     * @param {string} archivePath - The path of the zip archive.
+     * @param {string} entryName - The name of the entry to read, relative to the archive root.
+     * @returns {Promise<Buffer|null>} - The contents of the entry, null if the archive does not contain it.
+     */
+    static readEntry(archivePath, entryName) {
+        return new Promise((resolve, reject) => {
+            yauzl.open(archivePath, {lazyEntries: true}, (error, zipFile) => {
+                if (error) return reject(error);
+
+                zipFile.on('error', reject);
+                zipFile.on('end', () => resolve(null));
+                zipFile.on('entry', (entry) => {
+                    if (entry.fileName !== entryName) return zipFile.readEntry();
+
+                    zipFile.openReadStream(entry, (error, stream) => {
+                        if (error) return reject(error);
+
+                        const chunks = [];
+                        stream.on('data', (chunk) => chunks.push(chunk));
+                        stream.on('error', reject);
+                        stream.on('end', () => {
+                            zipFile.close();
+                            resolve(Buffer.concat(chunks));
+                        });
+                    });
+                });
+
+                zipFile.readEntry();
+            });
+        });
+    }
+
+    /**
+     * Read a JSON entry of a zip archive.
+     *
+     * @param {string} archivePath - The path of the zip archive.
+     * @param {string} entryName - The name of the entry to read, relative to the archive root.
+     * @returns {Promise<Object|null>} - The parsed contents of the entry, null if missing or unreadable.
+     */
+    static async readJsonEntry(archivePath, entryName) {
+        try {
+            const contents = await this.readEntry(archivePath, entryName);
+            return contents ? JSON.parse(contents.toString('utf8')) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Find the entries of a zip archive that would be written outside the extraction directory.
+     *
+     * Absolute paths, `..` segments & symbolic links are all refused,
+     * a symbolic link could point anywhere & the entries after it would follow it.
+     *
+     * @param {string} archivePath - The path of the zip archive.
+     * @returns {Promise<string[]>} - The unsafe entry names, empty if the archive is safe to extract.
+     */
+    static findUnsafeEntries(archivePath) {
+        return new Promise((resolve, reject) => {
+            // yauzl rejects the whole archive on the first bad name otherwise, we want them all.
+            yauzl.open(archivePath, {lazyEntries: true, decodeStrings: false}, (error, zipFile) => {
+                if (error) return reject(error);
+
+                const unsafeEntries = [];
+
+                zipFile.on('error', reject);
+                zipFile.on('end', () => resolve(unsafeEntries));
+                zipFile.on('entry', (entry) => {
+                    const entryName = entry.fileName.toString('utf8');
+                    const segments = entryName.split(/[\\/]/);
+                    const isSymlink = ((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000;
+
+                    if (/^([\\/]|[a-zA-Z]:)/.test(entryName) || segments.includes('..') || isSymlink) {
+                        unsafeEntries.push(entryName);
+                    }
+
+                    zipFile.readEntry();
+                });
+
+                zipFile.readEntry();
+            });
+        });
+    }
+
+    /**
+     * Compute the SHA-256 hash & the size of every file in a zip archive.
+     *
+     * @param {string} archivePath - The path of the zip archive.
+     * @returns {Promise<Map<string, {sha256: string, size: number}>>} - The hashes, keyed by the entry name.
+     */
+    static hashEntries(archivePath) {
+        return new Promise((resolve, reject) => {
+            yauzl.open(archivePath, {lazyEntries: true}, (error, zipFile) => {
+                if (error) return reject(error);
+
+                const hashes = new Map();
+
+                zipFile.on('error', reject);
+                zipFile.on('end', () => resolve(hashes));
+                zipFile.on('entry', (entry) => {
+                    // directories end with a slash.
+                    if (entry.fileName.endsWith('/')) return zipFile.readEntry();
+
+                    zipFile.openReadStream(entry, (error, stream) => {
+                        if (error) return reject(error);
+
+                        let size = 0;
+                        const hash = crypto.createHash('sha256');
+                        stream.on('data', (chunk) => {
+                            size += chunk.length;
+                            hash.update(chunk);
+                        });
+                        stream.on('error', reject);
+                        stream.on('end', () => {
+                            hashes.set(entry.fileName, {sha256: hash.digest('hex'), size});
+                            zipFile.readEntry();
+                        });
+                    });
+                });
+
+                zipFile.readEntry();
+            });
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Represents an abstract base class for the places backups are stored in.
+ *
+ * This class cannot be instantiated directly and
+ * requires the subclasses to implement the storage methods.
+ */
+export default class BaseDestination {
+
+    /**
+     * Base constructor, this cannot be instantiated!
+     */
+    constructor() {
+        if (this.constructor === BaseDestination) {
+            throw new Error("This class cannot be instantiated!");
+        }
+    }
+
+    /**
+     * A human-readable description of the destination, e.g. a path or a bucket url.
+     *
+     * @returns {string} - The description.
+     */
+    describe() {
+        throw new Error("`describe` method must be implemented by subclasses.");
+    }
+
+    /**
+     * Store a backup archive.
+     *
+     * @param {string} archivePath - The local path of the archive to store.
+     * @param {string} fileName - The name to store the archive with.
+     * @param {Object<string, string>} metadata - Additional information about the archive, e.g. the Ghosler version.
+     * @returns {Promise<void>} - Nothing.
+     */
+    async save(archivePath, fileName, metadata = {}) {
+        throw new Error("`save` method must be implemented by subclasses.");
+    }
+
+    /**
+     * List the stored backup archives.
+     *
+     * @returns {Promise<Array<{file: string, size: number, modified: Date, metadata: Object<string, string>}>>} - The archives.
+     */
+    async list() {
+        throw new Error("`list` method must be implemented by subclasses.");
+    }
+
+    /**
+     * Copy a stored backup archive to a local path.
+     *
+     * @param {string} fileName - The name of the stored archive.
+     * @param {string} targetPath - The local path to copy the archive to.
+     * @returns {Promise<void>} - Nothing.
+     */
+    async download(fileName, targetPath) {
+        throw new Error("`download` method must be implemented by subclasses.");
+    }
+
+    /**
+     * Remove a stored backup archive.
+     *
+     * @param {string} fileName - The name of the stored archive.
+     * @returns {Promise<void>} - Nothing.
+     */
+    async remove(fileName) {
+        throw new Error("`remove` method must be implemented by subclasses.");
+    }
+
+    /**
+     * Check whether a file name belongs to a backup archive.
+     *
+     * @param {string} fileName - The file name to check.
+     * @returns {boolean} - `true` if this is a backup archive, `false` otherwise.
+     */
+    static isBackupFile(fileName) {
+        return fileName.startsWith('backup_') && (fileName.endsWith('.zip') || fileName.endsWith('.zip.enc'));
+    }
+}
\ No newline at end of file
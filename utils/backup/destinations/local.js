@@ -0,0 +1,72 @@
+import fs from 'fs';
+import path from 'path';
+import Archive from '../archive.js';
+import Manifest from '../manifest.js';
+import BaseDestination from './base.js';
+
+/**
+ * Stores backups in a local or a mounted directory.
+ */
+export default class LocalDestination extends BaseDestination {
+
+    /**
+     * @param {string} directory - The directory to store the backups in.
+     */
+    constructor(directory) {
+        super();
+        this.directory = path.resolve(directory);
+    }
+
+    describe() {
+        return this.directory;
+    }
+
+    async save(archivePath, fileName, metadata = {}) {
+        fs.mkdirSync(this.directory, {recursive: true});
+
+        // a rename does not work across devices, e.g. a mounted directory.
+        fs.copyFileSync(archivePath, path.join(this.directory, fileName));
+    }
+
+    async list() {
+        if (!fs.existsSync(this.directory)) return [];
+
+        const backups = [];
+        for (const file of fs.readdirSync(this.directory).filter(BaseDestination.isBackupFile)) {
+            const filePath = path.join(this.directory, file);
+            const stats = fs.statSync(filePath);
+
+            // the archive carries its own manifest, or at least the package.json on older backups.
+            const manifest = await Manifest.read(filePath);
+            const version = manifest?.version ?? (await Archive.readJsonEntry(filePath, 'package.json'))?.version;
+            const metadata = version ? {version} : {};
+
+            backups.push({file, size: stats.size, modified: stats.mtime, metadata});
+        }
+
+        return backups;
+    }
+
+    async download(fileName, targetPath) {
+        fs.copyFileSync(this.#filePath(fileName), targetPath);
+    }
+
+    async remove(fileName) {
+        fs.rmSync(this.#filePath(fileName), {force: true});
+    }
+
+    /**
+     * The full path of a stored archive, refusing names that point outside the directory.
+     *
+     * @param {string} fileName - The name of the stored archive.
+     * @returns {string} - The full path of the archive.
+     * @throws {Error} - If the file name is not a plain backup file name.
+     */
+    #filePath(fileName) {
+        if (path.basename(fileName) !== fileName) {
+            throw new Error(`Invalid backup file name: ${fileName}`);
+        }
+
+        return path.join(this.directory, fileName);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,56 @@
+import path from 'path';
+import Utils from '../../utils.js';
+import S3Destination from './s3.js';
+import LocalDestination from './local.js';
+
+/**
+ * A class that picks the backup destination of an instance.
+ */
+export default class DestinationResolver {
+
+    // the default destination, relative to the instance.
+    static defaultDirectory = '.backups';
+
+    /**
+     * Resolve the backup destination of an instance.
+     *
+     * In order of priority: the given destination, the `ghosler.backup.destination` value
+     * of the instance configuration & then the `.backups` directory of the instance.
+     * Shared destinations keep the backups of each instance in a sub-folder named after it.
+     *
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @param {string} instanceName - The name of the ghosler instance.
+     * @param {string|Object|undefined} destination - A directory, an `s3://bucket/prefix` url or an object with a `type`.
+     * @returns {import('./base.js').default} - The backup destination.
+     * @throws {Error} - If the destination is not valid.
+     */
+    static resolve(instancePath, instanceName, destination = undefined) {
+        const spec = destination ?? Utils.ghoslerConfiguration(instancePath)?.ghosler?.backup?.destination;
+        if (!spec) return new LocalDestination(path.join(instancePath, this.defaultDirectory));
+
+        if (typeof spec === 'string') {
+            if (!spec.startsWith('s3://')) return new LocalDestination(path.join(spec, instanceName));
+
+            const [bucket, ...prefix] = spec.substring('s3://'.length).split('/');
+            return new S3Destination({
+                bucket: bucket,
+                prefix: [...prefix, instanceName].filter(Boolean).join('/'),
+                endpoint: process.env.AWS_ENDPOINT_URL_S3 ?? process.env.AWS_ENDPOINT_URL,
+            });
+        }
+
+        switch (spec.type) {
+            case 'local':
+                if (!spec.path) throw new Error('A local backup destination requires a `path`.');
+                return new LocalDestination(path.join(spec.path, instanceName));
+            case 's3':
+                return new S3Destination({
+                    ...spec,
+                    prefix: [spec.prefix, instanceName].filter(Boolean).join('/'),
+                    endpoint: spec.endpoint ?? process.env.AWS_ENDPOINT_URL_S3 ?? process.env.AWS_ENDPOINT_URL,
+                });
+            default:
+                throw new Error(`Unknown backup destination type: ${spec.type}`);
+        }
+    }
+}
\ No newline at end of file
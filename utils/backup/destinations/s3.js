@@ -0,0 +1,145 @@
+import fs from 'fs';
+import {pipeline} from 'stream/promises';
+import BaseDestination from './base.js';
+
+/**
+ * Stores backups in an S3-compatible object store, e.g. AWS S3 or MinIO.
+ *
+ * Credentials are read from the options if provided, otherwise from the
+ * usual AWS sources like the `AWS_ACCESS_KEY_ID` & `AWS_SECRET_ACCESS_KEY` variables.
+ */
+export default class S3Destination extends BaseDestination {
+
+    // the sdk is only loaded when a bucket is actually used.
+    #sdk = null;
+    #client = null;
+
+    /**
+     * @param {{
+     *   bucket: string,
+     *   prefix?: string,
+     *   region?: string,
+     *   endpoint?: string,
+     *   accessKeyId?: string,
+     *   secretAccessKey?: string,
+     *   forcePathStyle?: boolean
+     * }} options - The bucket & the connection options.
+     */
+    constructor(options) {
+        super();
+        if (!options?.bucket) throw new Error('An S3 destination requires a bucket name.');
+
+        this.options = options;
+        this.bucket = options.bucket;
+        this.prefix = (options.prefix ?? '').replace(/^\/+|\/+$/g, '');
+    }
+
+    describe() {
+        return `s3://${this.bucket}${this.prefix ? `/${this.prefix}` : ''}`;
+    }
+
+    async save(archivePath, fileName, metadata = {}) {
+        const {PutObjectCommand} = await this.#loadSdk();
+        await (await this.#s3()).send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.#key(fileName),
+            Body: fs.createReadStream(archivePath),
+            ContentLength: fs.statSync(archivePath).size,
+            ContentType: 'application/zip',
+            Metadata: metadata,
+        }));
+    }
+
+    async list() {
+        const {ListObjectsV2Command, HeadObjectCommand} = await this.#loadSdk();
+        const client = await this.#s3();
+
+        const backups = [];
+        let continuationToken;
+
+        do {
+            const response = await client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: this.prefix ? `${this.prefix}/` : undefined,
+                ContinuationToken: continuationToken,
+            }));
+
+            for (const object of response.Contents ?? []) {
+                const file = object.Key.substring(object.Key.lastIndexOf('/') + 1);
+
+                // only the archives right under the prefix.
+                if (object.Key !== this.#key(file) || !BaseDestination.isBackupFile(file)) continue;
+
+                const head = await client.send(new HeadObjectCommand({Bucket: this.bucket, Key: object.Key}));
+                backups.push({file, size: object.Size, modified: object.LastModified, metadata: head.Metadata ?? {}});
+            }
+
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return backups;
+    }
+
+    async download(fileName, targetPath) {
+        const {GetObjectCommand} = await this.#loadSdk();
+        const response = await (await this.#s3()).send(new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this.#key(fileName),
+        }));
+
+        await pipeline(response.Body, fs.createWriteStream(targetPath));
+    }
+
+    async remove(fileName) {
+        const {DeleteObjectCommand} = await this.#loadSdk();
+        await (await this.#s3()).send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this.#key(fileName),
+        }));
+    }
+
+    /**
+     * The object key for an archive.
+     *
+     * @param {string} fileName - The name of the archive.
+     * @returns {string} - The key of the object in the bucket.
+     */
+    #key(fileName) {
+        return this.prefix ? `${this.prefix}/${fileName}` : fileName;
+    }
+
+    /**
+     * Load the AWS SDK on first use.
+     *
+     * @returns {Promise<Object>} - The `@aws-sdk/client-s3` module.
+     */
+    async #loadSdk() {
+        if (!this.#sdk) this.#sdk = await import('@aws-sdk/client-s3');
+        return this.#sdk;
+    }
+
+    /**
+     * Create the S3 client on first use.
+     *
+     * @returns {Promise<Object>} - The S3 client.
+     */
+    async #s3() {
+        if (this.#client) return this.#client;
+
+        const {S3Client} = await this.#loadSdk();
+        const {region, endpoint, accessKeyId, secretAccessKey, forcePathStyle} = this.options;
+
+        this.#client = new S3Client({
+            region: region ?? process.env.AWS_REGION ?? 'us-east-1',
+            endpoint: endpoint,
+            // self-hosted stores like MinIO do not support bucket sub-domains.
+            forcePathStyle: forcePathStyle ?? !!endpoint,
+            credentials: accessKeyId && secretAccessKey ? {accessKeyId, secretAccessKey} : undefined,
+            // checksum trailers are not supported by every S3-compatible store.
+            requestChecksumCalculation: 'WHEN_REQUIRED',
+            responseChecksumValidation: 'WHEN_REQUIRED',
+        });
+
+        return this.#client;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import {promisify} from 'util';
+import Utils from '../utils.js';
+
+/**
+ * A class that encrypts & decrypts backup archives with AES-256-GCM.
+ *
+ * The key is derived from a passphrase with scrypt, the passphrase is read from a key file
+ * or the `GHOSLER_BACKUP_KEY` environment variable. An encrypted archive is laid out as:
+ * `magic (4) | format version (1) | salt (16) | iv (12) | ciphertext | auth tag (16)`.
+ */
+export default class Encryption {
+
+    static extension = '.enc';
+    static environmentVariable = 'GHOSLER_BACKUP_KEY';
+
+    static #magic = Buffer.from('GHBK');
+    static #formatVersion = 1;
+    static #saltLength = 16;
+    static #ivLength = 12;
+    static #tagLength = 16;
+    static #headerLength = Encryption.#magic.length + 1 + Encryption.#saltLength + Encryption.#ivLength;
+
+    static #scrypt = promisify(crypto.scrypt);
+
+    /**
+     * Find the passphrase to use for an instance.
+     *
+     * In order of priority: the given key file, the `GHOSLER_BACKUP_KEY` environment variable
+     * & then the `ghosler.backup.encryption.keyFile` value of the instance configuration.
+     *
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @param {string|undefined} keyFile - A user provided key file.
+     * @returns {string|null} - The passphrase, null if encryption is not set up.
+     * @throws {Error} - If the key file cannot be read or is empty.
+     */
+    static resolvePassphrase(instancePath, keyFile = undefined) {
+        if (keyFile) return this.#readKeyFile(keyFile);
+        if (process.env[this.environmentVariable]) return process.env[this.environmentVariable];
+
+        const configuredKeyFile = Utils.ghoslerConfiguration(instancePath)?.ghosler?.backup?.encryption?.keyFile;
+        return configuredKeyFile ? this.#readKeyFile(configuredKeyFile) : null;
+    }
+
+    /**
+     * Check whether a file is an encrypted archive.
+     *
+     * @param {string} filePath - The path of the file.
+     * @returns {boolean} - `true` if the file starts with the encryption header, `false` otherwise.
+     */
+    static isEncrypted(filePath) {
+        const header = Buffer.alloc(this.#magic.length);
+        const handle = fs.openSync(filePath, 'r');
+
+        try {
+            fs.readSync(handle, header, 0, header.length, 0);
+        } finally {
+            fs.closeSync(handle);
+        }
+
+        return header.equals(this.#magic);
+    }
+
+    /**
+     * Encrypt a file.
+     *
+     * @param {string} inputPath - The path of the file to encrypt.
+     * @param {string} outputPath - The path to write the encrypted file to.
+     * @param {string} passphrase - The passphrase to derive the key from.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async encrypt(inputPath, outputPath, passphrase) {
+        const salt = crypto.randomBytes(this.#saltLength);
+        const iv = crypto.randomBytes(this.#ivLength);
+        const cipher = crypto.createCipheriv('aes-256-gcm', await this.#deriveKey(passphrase, salt), iv);
+
+        const output = await fs.promises.open(outputPath, 'w');
+        try {
+            await output.write(Buffer.concat([this.#magic, Buffer.from([this.#formatVersion]), salt, iv]));
+            for await (const chunk of fs.createReadStream(inputPath)) await output.write(cipher.update(chunk));
+
+            await output.write(cipher.final());
+            await output.write(cipher.getAuthTag());
+        } finally {
+            await output.close();
+        }
+    }
+
+    /**
+     * Decrypt a file, the output is removed if the passphrase is wrong or the file was tampered with.
+     *
+     * @param {string} inputPath - The path of the encrypted file.
+     * @param {string} outputPath - The path to write the decrypted file to.
+     * @param {string} passphrase - The passphrase to derive the key from.
+     * @returns {Promise<void>} - Nothing.
+     * @throws {Error} - If the file is not an encrypted archive or cannot be decrypted.
+     */
+    static async decrypt(inputPath, outputPath, passphrase) {
+        const {size} = fs.statSync(inputPath);
+        if (size < this.#headerLength + this.#tagLength || !this.isEncrypted(inputPath)) {
+            throw new Error('the file is not an encrypted backup.');
+        }
+
+        const input = await fs.promises.open(inputPath, 'r');
+        const header = Buffer.alloc(this.#headerLength);
+        const tag = Buffer.alloc(this.#tagLength);
+
+        try {
+            await input.read(header, 0, header.length, 0);
+            await input.read(tag, 0, tag.length, size - this.#tagLength);
+        } finally {
+            await input.close();
+        }
+
+        const version = header[this.#magic.length];
+        if (version !== this.#formatVersion) throw new Error(`Unsupported encryption format: ${version}`);
+
+        const saltStart = this.#magic.length + 1;
+        const salt = header.subarray(saltStart, saltStart + this.#saltLength);
+        const iv = header.subarray(saltStart + this.#saltLength);
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', await this.#deriveKey(passphrase, salt), iv);
+        decipher.setAuthTag(tag);
+
+        const output = await fs.promises.open(outputPath, 'w');
+        try {
+            const ciphertext = fs.createReadStream(inputPath, {start: this.#headerLength, end: size - this.#tagLength - 1});
+            for await (const chunk of ciphertext) await output.write(decipher.update(chunk));
+
+            await output.write(decipher.final());
+        } catch (error) {
+            await output.close();
+            fs.rmSync(outputPath, {force: true});
+            throw new Error('unable to decrypt the backup, the key is wrong or the file is corrupted.');
+        }
+
+        await output.close();
+    }
+
+    /**
+     * Read the passphrase from a key file.
+     *
+     * @param {string} keyFile - The path of the key file.
+     * @returns {string} - The passphrase.
+     * @throws {Error} - If the key file cannot be read or is empty.
+     */
+    static #readKeyFile(keyFile) {
+        const passphrase = fs.readFileSync(keyFile, 'utf8').trim();
+        if (!passphrase) throw new Error(`The key file is empty: ${keyFile}`);
+        return passphrase;
+    }
+
+    /**
+     * Derive an AES-256 key from a passphrase.
+     *
+     * @param {string} passphrase - The passphrase.
+     * @param {Buffer} salt - The random salt stored with the archive.
+     * @returns {Promise<Buffer>} - The key.
+     */
+    static async #deriveKey(passphrase, salt) {
+        return await this.#scrypt(passphrase, salt, 32);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import Utils from '../utils.js';
+import Archive from './archive.js';
+
+/**
+ * A class that describes the contents of a backup archive.
+ *
+ * The manifest is stored at the root of the archive & records where the backup came from,
+ * along with the SHA-256 hash of every file so that the archive can be verified later.
+ */
+export default class Manifest {
+
+    static fileName = 'backup-manifest.json';
+    static #formatVersion = 1;
+
+    /**
+     * Create a manifest for the files of a directory & write it in the same directory.
+     *
+     * @param {string} directory - The directory that is going to be archived.
+     * @param {{instance: string, branch: string|undefined, version: string|undefined}} source - The instance the files belong to.
+     * @returns {Promise<Object>} - The manifest.
+     */
+    static async write(directory, source) {
+        const files = [];
+        for (const relativePath of this.#listFiles(directory)) {
+            const filePath = path.join(directory, ...relativePath.split('/'));
+            files.push({path: relativePath, size: fs.statSync(filePath).size, sha256: await this.#hashFile(filePath)});
+        }
+
+        const manifest = {
+            formatVersion: this.#formatVersion,
+            createdAt: new Date().toISOString(),
+            instance: source.instance,
+            branch: source.branch ?? null,
+            version: source.version ?? null,
+            cliVersion: Utils.cliPackageVersion,
+            files: files,
+        };
+
+        fs.writeFileSync(path.join(directory, this.fileName), JSON.stringify(manifest, null, 2));
+        return manifest;
+    }
+
+    /**
+     * Read the manifest of a backup archive.
+     *
+     * @param {string} archivePath - The path of the backup archive.
+     * @returns {Promise<Object|null>} - The manifest, null if the archive does not have a readable one.
+     */
+    static async read(archivePath) {
+        return await Archive.readJsonEntry(archivePath, this.fileName);
+    }
+
+    /**
+     * Verify the integrity of a backup archive against its manifest.
+     *
+     * @param {string} archivePath - The path of the backup archive.
+     * @returns {Promise<{status: 'valid'|'invalid'|'unverified', message: string, errors: string[], manifest: Object|null}>} - The result of the verification.
+     */
+    static async verify(archivePath) {
+        let entries;
+        try {
+            entries = await Archive.hashEntries(archivePath);
+        } catch (error) {
+            return {status: 'invalid', message: `The archive is unreadable, ${error.message}`, errors: [], manifest: null};
+        }
+
+        if (!entries.has(this.fileName)) {
+            return {
+                status: 'unverified',
+                message: 'The archive has no manifest, it was probably created by an older version of the CLI.',
+                errors: [],
+                manifest: null
+            };
+        }
+
+        const manifest = await this.read(archivePath);
+        if (!manifest || !Array.isArray(manifest.files)) {
+            return {status: 'invalid', message: 'The manifest of the archive is unreadable.', errors: [], manifest: null};
+        }
+
+        const errors = [];
+        for (const file of manifest.files) {
+            const entry = entries.get(file.path);
+            if (!entry) errors.push(`Missing file: ${file.path}`);
+            else if (entry.sha256 !== file.sha256 || entry.size !== file.size) errors.push(`Checksum mismatch: ${file.path}`);
+        }
+
+        const recorded = new Set(manifest.files.map(file => file.path));
+        for (const entryName of entries.keys()) {
+            if (entryName !== this.fileName && !recorded.has(entryName)) errors.push(`Unexpected file: ${entryName}`);
+        }
+
+        return errors.length === 0
+            ? {status: 'valid', message: `All ${manifest.files.length} files match the manifest.`, errors, manifest}
+            : {status: 'invalid', message: `${errors.length} problem(s) found in the archive.`, errors, manifest};
+    }
+
+    /**
+     * List the files of a directory recursively.
+     *
+     * @param {string} directory - The directory to list.
+     * @param {string} prefix - The path of the directory relative to the root, for the recursion.
+     * @returns {string[]} - The file paths relative to the root, separated by `/` like the zip entries.
+     */
+    static #listFiles(directory, prefix = '') {
+        const files = [];
+        for (const entry of fs.readdirSync(directory, {withFileTypes: true})) {
+            const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) files.push(...this.#listFiles(path.join(directory, entry.name), relativePath));
+            else if (relativePath !== this.fileName) files.push(relativePath);
+        }
+
+        return files;
+    }
+
+    /**
+     * Compute the SHA-256 hash of a file.
+     *
+     * @param {string} filePath - The path of the file.
+     * @returns {Promise<string>} - The hex encoded hash.
+     */
+    static async #hashFile(filePath) {
+        const hash = crypto.createHash('sha256');
+        for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+        return hash.digest('hex');
+    }
+}
\ No newline at end of file
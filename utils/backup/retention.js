@@ -0,0 +1,112 @@
+/**
+ * A class that decides which backups to keep based on a set of retention rules.
+ *
+ * Rules follow the usual `keep` semantics, a backup is kept if any of the rules selects it:
+ * - `last`: the N most recent backups.
+ * - `daily`: the most recent backup of each of the last N days that have a backup.
+ * - `weekly`: the most recent backup of each of the last N weeks that have a backup.
+ */
+export default class Retention {
+
+    static #rules = ['last', 'daily', 'weekly'];
+
+    /**
+     * Build retention rules from an object, ignoring the unset or invalid values.
+     * A rule must keep at least one backup, a rule of `0` would remove all of them.
+     *
+     * @param {{last?: number, daily?: number, weekly?: number}|null|undefined} options - The rules to parse.
+     * @returns {{last?: number, daily?: number, weekly?: number}|null} - The rules, null if no rule is set.
+     */
+    static fromOptions(options) {
+        if (!options) return null;
+
+        const rules = {};
+        for (const rule of this.#rules) {
+            const value = parseInt(options[rule], 10);
+            if (!isNaN(value) && value >= 1) rules[rule] = value;
+        }
+
+        return Object.keys(rules).length > 0 ? rules : null;
+    }
+
+    /**
+     * A human-readable description of the retention rules.
+     *
+     * @param {{last?: number, daily?: number, weekly?: number}} rules - The rules to describe.
+     * @returns {string} - Description of the rules, e.g. `last: 5, daily: 7`.
+     */
+    static describe(rules) {
+        return this.#rules
+            .filter(rule => rules[rule] !== undefined)
+            .map(rule => `${rule}: ${rules[rule]}`)
+            .join(', ');
+    }
+
+    /**
+     * Split the backups into the ones to keep & the ones to remove.
+     *
+     * @template {{date: Date}} T
+     * @param {T[]} backups - The backups to apply the rules on.
+     * @param {{last?: number, daily?: number, weekly?: number}} rules - The retention rules.
+     * @returns {{keep: T[], remove: T[]}} - The backups to keep & to remove, newest first.
+     */
+    static apply(backups, rules) {
+        const sorted = [...backups].sort((first, second) => second.date - first.date);
+        const keep = new Set();
+
+        sorted.slice(0, rules.last ?? 0).forEach(backup => keep.add(backup));
+        this.#newestPerPeriod(sorted, this.#dayKey, rules.daily ?? 0).forEach(backup => keep.add(backup));
+        this.#newestPerPeriod(sorted, this.#weekKey, rules.weekly ?? 0).forEach(backup => keep.add(backup));
+
+        return {
+            keep: sorted.filter(backup => keep.has(backup)),
+            remove: sorted.filter(backup => !keep.has(backup)),
+        };
+    }
+
+    /**
+     * Pick the newest backup of each period, for at most `count` periods.
+     *
+     * @param {Array<{date: Date}>} sorted - The backups, newest first.
+     * @param {(date: Date) => string} periodKey - Maps a date to its period.
+     * @param {number} count - The number of periods to select.
+     * @returns {Array<{date: Date}>} - The selected backups.
+     */
+    static #newestPerPeriod(sorted, periodKey, count) {
+        const periods = new Map();
+        for (const backup of sorted) {
+            if (periods.size >= count) break;
+
+            const key = periodKey(backup.date);
+            if (!periods.has(key)) periods.set(key, backup);
+        }
+
+        return [...periods.values()];
+    }
+
+    /**
+     * The day of a date, in UTC like the backup names.
+     *
+     * @param {Date} date - The date.
+     * @returns {string} - The day as `YYYY-MM-DD`.
+     */
+    static #dayKey(date) {
+        return date.toISOString().substring(0, 10);
+    }
+
+    /**
+     * The ISO week of a date, in UTC like the backup names.
+     *
+     * @param {Date} date - The date.
+     * @returns {string} - The week as `YYYY-Www`.
+     */
+    static #weekKey(date) {
+        const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+
+        const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+        const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+
+        return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+    }
+}
\ No newline at end of file
@@ -1,27 +1,69 @@
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import Utils from '../utils.js';
 import {zip} from 'zip-a-folder';
-import PM2Manager from '../pm2/manager.js';
+import Manifest from '../backup/manifest.js';
+import Encryption from '../backup/encryption.js';
 import BaseCommand from './base/command.js';
+import Retention from '../backup/retention.js';
+import UsageError from '../errors/usage.js';
+import NotFoundError from '../errors/not-found.js';
+import OperationError from '../errors/operation.js';
+import ConfigurationError from '../errors/configuration.js';
+import DestinationResolver from '../backup/destinations/resolver.js';
 
 /**
  * Class that performs backup.
  */
 export default class Backup extends BaseCommand {
 
-    static #backupDirectory = '.backups';
+    static #backupDirectory = DestinationResolver.defaultDirectory;
     static #tempDirectory = '.temp-backup';
-    static #excludeFilesDirs = ['.idea', 'node_modules', '.logs', Backup.#backupDirectory, Backup.#tempDirectory];
+    // `.update` & `.rollback` hold the new & the previous files while an update runs.
+    static #excludeFilesDirs = ['.idea', 'node_modules', '.logs', '.update', '.rollback', Backup.#backupDirectory, Backup.#tempDirectory];
 
     static yargsCommand() {
         return {
             command: 'backup',
             description: 'Backup Ghosler instance.',
             builder: (yargs) => {
-                return yargs.option('name', {
+                return this.#keyFileOption(this.#retentionOptions(this.#destinationOption(yargs.option('name', {
                     type: 'string',
                     description: 'Name of the Ghosler instance to back up.',
+                })))).command({
+                    command: 'ls',
+                    description: 'List the backups of a Ghosler instance.',
+                    builder: (yargs) => {
+                        return this.#destinationOption(yargs.option('name', {
+                            type: 'string',
+                            description: 'Name of the Ghosler instance to list the backups for.',
+                        }));
+                    }, handler: async (argv) => await this.#listTask(argv)
+                }).command({
+                    command: 'prune',
+                    description: 'Remove the backups of a Ghosler instance that fall outside the retention rules.',
+                    builder: (yargs) => {
+                        return this.#retentionOptions(this.#destinationOption(yargs.option('name', {
+                            type: 'string',
+                            description: 'Name of the Ghosler instance to prune the backups for.',
+                        }))).option('dry-run', {
+                            type: 'boolean',
+                            description: 'Only print the backups that would be removed.',
+                        });
+                    }, handler: async (argv) => await this.#pruneTask(argv)
+                }).command({
+                    command: 'verify',
+                    description: 'Verify the integrity of a backup against its manifest.',
+                    builder: (yargs) => {
+                        return this.#keyFileOption(this.#destinationOption(yargs.option('name', {
+                            type: 'string',
+                            description: 'Name of the Ghosler instance to verify the backup for.',
+                        }))).option('backup', {
+                            type: 'string',
+                            description: 'The backup file to verify, either a local path or a file name in the backup destination. Default: the latest backup.',
+                        });
+                    }, handler: async (argv) => await this.#verifyTask(argv)
                 });
             }, handler: async (argv) => await this.#performTask(argv)
         };
@@ -45,55 +87,350 @@ export default class Backup extends BaseCommand {
      * @returns {Promise<void>} - Nothing.
      */
     static async #performTask(argv) {
-        const canProceed = await this.canProceed(argv);
-        if (!canProceed) return;
+        const instance = await this.#findInstance(argv);
 
         Utils.logStart('Starting backup...');
 
-        let instancePath;
+        const rules = this.#retentionRules(argv, instance.path);
 
-        if (!argv.path) {
-            const instance = await PM2Manager.getProcess(argv.name);
-            if (!instance) {
-                Utils.logFail(`Unable to find the registered process: ${argv.name}`);
-                return;
-            } else instancePath = instance.path;
-        } else instancePath = argv.path;
+        const status = await this.#saveFiles(instance, argv.keyFile);
+        if (status instanceof Error) throw new OperationError(`Backup failed, ${status.message}`, {cause: status});
 
-        const status = await this.#saveFiles(instancePath);
-        status instanceof Error ? Utils.logFail(`Backup failed, ${status}`) : Utils.logSucceed('Backup complete');
+        Utils.logSucceed(`Backup complete (${instance.destination.describe()})`);
+
+        // prune right away if the instance has retention rules, never the backup just taken.
+        if (rules) await this.#prune(instance.destination, rules, false, status);
     }
 
     /**
-     * Start the backup process, copy the files & zip them in the '.backups' folder.
+     * Start the task listing the backups.
      *
-     * @param {string} instancePath - The path of the ghosler instance to back up.
-     * @returns {Promise<void|Error>} - Error if something went wrong, void otherwise.
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
      */
-    static async #saveFiles(instancePath) {
-        this.#ensureDirs(instancePath);
+    static async #listTask(argv) {
+        const instance = await this.#findInstance(argv);
 
-        const tempDir = path.join(instancePath, this.#tempDirectory);
-        this.#copyFolderSync(instancePath, tempDir, this.#excludeFilesDirs);
+        Utils.logStart('Listing backups...');
+
+        const backups = await this.listBackups(instance.destination).catch((error) => {
+            throw new OperationError(`Unable to list the backups, ${error.message}`, {cause: error});
+        });
+
+        Utils.logResult({destination: instance.destination.describe(), backups});
+        if (backups.length === 0) {
+            Utils.logSucceed(`No backups found (${instance.destination.describe()}).`);
+            return;
+        }
+
+        const lines = backups.map((backup, index) => {
+            return `  ${index + 1}. ${backup.file}, Date: ${backup.date.toISOString()}, Size: ${Utils.formatBytes(backup.size)}, Version: ${backup.version ?? 'unknown'}`;
+        });
+
+        Utils.logSucceed(`List of backups (${instance.destination.describe()}):\n${lines.join('\n')}`);
+    }
+
+    /**
+     * Start the task pruning the backups.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #pruneTask(argv) {
+        const instance = await this.#findInstance(argv);
+
+        const rules = this.#retentionRules(argv, instance.path);
+        if (!rules) throw new UsageError('No retention rules found, use `--keep-last`, `--keep-daily` or `--keep-weekly`.');
+
+        await this.#prune(instance.destination, rules, argv.dryRun);
+    }
+
+    /**
+     * Start the task verifying a backup.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #verifyTask(argv) {
+        const instance = await this.#findInstance(argv);
+
+        Utils.logStart('Verifying backup...');
+
+        const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghosler-verify-'));
+
+        try {
+            const backupFile = await this.fetchBackup(instance, argv.backup, downloadDir, argv.keyFile).catch((error) => {
+                throw new OperationError(`Unable to fetch the backup, ${error.message}`, {cause: error});
+            });
+
+            if (!backupFile) throw new NotFoundError(argv.backup ? `Backup file not found: ${argv.backup}` : 'No backups found.');
+
+            const {status, message, errors, manifest} = await Manifest.verify(backupFile);
+            Utils.logResult({backup: path.basename(backupFile), status, errors, manifest});
+            const details = manifest
+                ? `\n  Instance: ${manifest.instance}, Branch: ${manifest.branch ?? 'unknown'}, Version: ${manifest.version ?? 'unknown'}, CLI: ${manifest.cliVersion}, Created: ${manifest.createdAt}`
+                : '';
+
+            const summary = `${path.basename(backupFile)}: ${message}${details}`;
+            if (status === 'valid') Utils.logSucceed(summary);
+            else if (status === 'unverified') Utils.logWarn(summary);
+            else throw new OperationError(`${summary}${errors.map(error => `\n  - ${error}`).join('')}`);
+        } finally {
+            fs.rmSync(downloadDir, {recursive: true, force: true});
+        }
+    }
+
+    /**
+     * Find a backup archive of an instance & make it available locally, decrypted if it was encrypted.
+     *
+     * @param {{name: string, path: string, destination: import('../backup/destinations/base.js').default}} instance - The ghosler instance.
+     * @param {string|undefined} backup - A user provided path or file name, the latest backup is used if not provided.
+     * @param {string} downloadDir - A temporary directory to fetch the archive to.
+     * @param {string|undefined} keyFile - A user provided key file for encrypted backups.
+     * @returns {Promise<string|null>} - The local path of the backup archive, null if none was found.
+     * @throws {Error} - If the archive cannot be fetched or decrypted.
+     */
+    static async fetchBackup(instance, backup, downloadDir, keyFile = undefined) {
+        let backupFile;
+
+        // a local archive, e.g. one copied from another server.
+        if (backup && fs.existsSync(backup) && fs.statSync(backup).isFile()) backupFile = path.resolve(backup);
+        else {
+            const backups = await this.listBackups(instance.destination);
+
+            // newest first.
+            const match = backup ? backups.find(({file}) => file === backup) : backups[0];
+            if (!match) return null;
+
+            backupFile = path.join(downloadDir, match.file);
+            await instance.destination.download(match.file, backupFile);
+        }
+
+        if (!Encryption.isEncrypted(backupFile)) return backupFile;
+
+        const passphrase = Encryption.resolvePassphrase(instance.path, keyFile);
+        if (!passphrase) {
+            throw new Error(`the backup is encrypted, provide the key via \`--key-file\` or the \`${Encryption.environmentVariable}\` variable.`);
+        }
+
+        const decryptedFile = path.join(downloadDir, path.basename(backupFile, Encryption.extension));
+        await Encryption.decrypt(backupFile, decryptedFile, passphrase);
+        return decryptedFile;
+    }
+
+    /**
+     * Remove the backups that fall outside the retention rules.
+     *
+     * @param {import('../backup/destinations/base.js').default} destination - The destination of the backups.
+     * @param {{last?: number, daily?: number, weekly?: number}} rules - The retention rules.
+     * @param {boolean} dryRun - Whether to only print the backups that would be removed.
+     * @param {string|undefined} kept - A backup file to keep whatever the rules, like the one just taken.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #prune(destination, rules, dryRun = false, kept = undefined) {
+        Utils.logStart(`Pruning backups (${Retention.describe(rules)})...`);
+
+        await this.#removeOutsideRetention(destination, rules, dryRun, kept).catch((error) => {
+            throw new OperationError(`Unable to prune the backups, ${error.message}`, {cause: error});
+        });
+    }
+
+    /**
+     * Apply the retention rules on the backups of a destination.
+     *
+     * @param {import('../backup/destinations/base.js').default} destination - The destination of the backups.
+     * @param {{last?: number, daily?: number, weekly?: number}} rules - The retention rules.
+     * @param {boolean} dryRun - Whether to only print the backups that would be removed.
+     * @param {string|undefined} kept - A backup file to keep whatever the rules.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #removeOutsideRetention(destination, rules, dryRun, kept) {
+        const backups = await this.listBackups(destination);
+        const {keep, remove} = Retention.apply(backups.filter(backup => backup.file !== kept), rules);
+        keep.unshift(...backups.filter(backup => backup.file === kept));
+        Utils.logResult({dryRun, kept: keep.map(backup => backup.file), removed: remove.map(backup => backup.file)});
+        if (remove.length === 0) {
+            Utils.logSucceed(`Nothing to prune, ${keep.length} backup(s) kept.`);
+            return;
+        }
+
+        if (dryRun) {
+            Utils.logSucceed(`Backups that would be removed:\n${remove.map(backup => `  - ${backup.file}`).join('\n')}`);
+            return;
+        }
+
+        const freed = remove.reduce((total, backup) => total + backup.size, 0);
+        for (const backup of remove) await destination.remove(backup.file);
+
+        Utils.logSucceed(`Removed ${remove.length} backup(s), freed ${Utils.formatBytes(freed)}, ${keep.length} backup(s) kept.`);
+    }
+
+    /**
+     * List the backup archives in a destination, newest first.
+     *
+     * @param {import('../backup/destinations/base.js').default} destination - The destination of the backups.
+     * @returns {Promise<Array<{file: string, date: Date, size: number, version: string|undefined}>>} - The backup archives.
+     */
+    static async listBackups(destination) {
+        return (await destination.list())
+            .map(({file, size, modified, metadata}) => ({
+                file, size, date: this.#backupDate(file) ?? modified, version: metadata.version
+            }))
+            .sort((first, second) => second.date - first.date);
+    }
 
-        const result = await zip(tempDir, this.#backupName(instancePath));
+    /**
+     * Parse the date stamp of a backup file name.
+     *
+     * @param {string} file - The backup file name, e.g. `backup_2024-01-01_10-00-00.zip`.
+     * @returns {Date|null} - The date of the backup, null if the name does not contain one.
+     */
+    static #backupDate(file) {
+        const match = file.match(/^backup_(\d{4}-\d{2}-\d{2})_(\d{2})-(\d{2})-(\d{2})/);
+        if (!match) return null;
+
+        const [, day, hours, minutes, seconds] = match;
+        return new Date(`${day}T${hours}:${minutes}:${seconds}Z`);
+    }
+
+    /**
+     * The retention rules given via command line, or the ones saved in the instance configuration.
+     *
+     * @param {Object} argv - `yargs` argument object containing user input.
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @returns {{last?: number, daily?: number, weekly?: number}|null} - The retention rules, null if none are set.
+     */
+    static #retentionRules(argv, instancePath) {
+        const invalid = [['keep-last', argv.keepLast], ['keep-daily', argv.keepDaily], ['keep-weekly', argv.keepWeekly]]
+            .find(([, value]) => value !== undefined && !(value >= 1));
+        if (invalid) throw new UsageError(`\`--${invalid[0]}\` must keep at least 1 backup.`);
 
-        fs.rmSync(tempDir, {recursive: true, force: true});
+        return Retention.fromOptions({last: argv.keepLast, daily: argv.keepDaily, weekly: argv.keepWeekly}) ??
+            Retention.fromOptions(Utils.ghoslerConfiguration(instancePath)?.ghosler?.backup?.retention);
+    }
 
-        return result;
+    /**
+     * Add the retention rule options to a command.
+     *
+     * @param yargs - The `yargs` instance of the command.
+     * @returns {*} - The `yargs` instance.
+     */
+    static #retentionOptions(yargs) {
+        return yargs.option('keep-last', {
+            type: 'number',
+            description: 'Keep the given number of most recent backups.',
+        }).option('keep-daily', {
+            type: 'number',
+            description: 'Keep the most recent backup of the given number of days.',
+        }).option('keep-weekly', {
+            type: 'number',
+            description: 'Keep the most recent backup of the given number of weeks.',
+        });
     }
 
     /**
-     * Ensure the backup directory exists and remove the temp directory if it exists.
+     * Add the backup destination option to a command.
      *
-     * @param {string} instancePath - The path of the ghosler instance to back up.
+     * @param yargs - The `yargs` instance of the command.
+     * @returns {*} - The `yargs` instance.
      */
-    static #ensureDirs(instancePath) {
+    static #destinationOption(yargs) {
+        return yargs.option('dest', {
+            type: 'string',
+            description: 'Where the backups are stored, a directory or an `s3://bucket/prefix` url. Default: `.backups` in the instance.',
+        });
+    }
+
+    /**
+     * Add the encryption key file option to a command.
+     *
+     * @param yargs - The `yargs` instance of the command.
+     * @returns {*} - The `yargs` instance.
+     */
+    static #keyFileOption(yargs) {
+        return yargs.option('key-file', {
+            type: 'string',
+            description: `A file with the passphrase to encrypt or decrypt backups. Default: the \`${Encryption.environmentVariable}\` variable.`,
+        });
+    }
+
+    /**
+     * Find the path & the backup destination of the instance to work with.
+     *
+     * @param {Object} argv - `yargs` argument object containing user input.
+     * @returns {Promise<{name: string, path: string, destination: import('../backup/destinations/base.js').default}>} - The instance.
+     * @throws {NotFoundError|UsageError|ConfigurationError} - If the instance is not found or the destination is not valid.
+     */
+    static async #findInstance(argv) {
+        await this.canProceed(argv);
+
+        const instancePath = argv.path ?? (await this.findProcess(argv.name)).path;
+
+        try {
+            return {
+                name: argv.name,
+                path: instancePath,
+                destination: DestinationResolver.resolve(instancePath, argv.name, argv.dest)
+            };
+        } catch (error) {
+            // the destination comes from the command line or the configuration of the instance.
+            const InvalidDestinationError = argv.dest ? UsageError : ConfigurationError;
+            throw new InvalidDestinationError(`Invalid backup destination, ${error.message}`, {cause: error});
+        }
+    }
+
+    /**
+     * Start the backup process, copy the files, add a manifest, zip them & store the archive in the destination.
+     *
+     * @param {{name: string, path: string, destination: import('../backup/destinations/base.js').default}} instance - The ghosler instance to back up.
+     * @param {string|undefined} keyFile - A user provided key file, the archive is encrypted if a passphrase is available.
+     * @returns {Promise<string|Error>} - The backup file name, the error if something went wrong.
+     */
+    static async #saveFiles(instance, keyFile = undefined) {
+        const {name, path: instancePath, destination} = instance;
         const tempDir = path.join(instancePath, this.#tempDirectory);
-        const backupDir = path.join(instancePath, this.#backupDirectory);
+        const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghosler-backup-'));
+
+        try {
+            const passphrase = Encryption.resolvePassphrase(instancePath, keyFile);
+
+            fs.rmSync(tempDir, {recursive: true, force: true});
+            this.#copyFolderSync(instancePath, tempDir, this.#excludeFilesDirs);
+
+            const version = Utils.currentGhoslerVersion(instancePath);
+            const manifest = await Manifest.write(tempDir, {
+                instance: name,
+                branch: Utils.ghoslerConfiguration(instancePath)?.ghosler?.branch,
+                version: version.status === 'success' ? version.message : undefined,
+            });
+
+            let fileName = this.#backupName();
+            let archivePath = path.join(archiveDir, fileName);
 
-        fs.mkdirSync(backupDir, {recursive: true});
-        fs.rmSync(tempDir, {recursive: true, force: true});
+            const result = await zip(tempDir, archivePath);
+            if (result instanceof Error) return result;
+
+            const metadata = {instance: name};
+            if (manifest.branch) metadata.branch = manifest.branch;
+            if (manifest.version) metadata.version = manifest.version;
+
+            if (passphrase) {
+                fileName += Encryption.extension;
+                await Encryption.encrypt(archivePath, `${archivePath}${Encryption.extension}`, passphrase);
+                archivePath += Encryption.extension;
+                metadata.encrypted = 'true';
+            }
+
+            await destination.save(archivePath, fileName, metadata);
+            Utils.logResult({backup: {file: fileName, destination: destination.describe(), encrypted: Boolean(passphrase)}});
+
+            return fileName;
+        } catch (error) {
+            return error;
+        } finally {
+            fs.rmSync(tempDir, {recursive: true, force: true});
+            fs.rmSync(archiveDir, {recursive: true, force: true});
+        }
     }
 
     /**
@@ -121,11 +458,9 @@ export default class Backup extends BaseCommand {
     /**
      * Backup file name.
      *
-     * @param {string} instancePath - The home path of the ghosler instance.
      * @returns {string} - Human readable date stamp name for the backup file.
      */
-    static #backupName(instancePath) {
-        const backupDir = path.join(instancePath, this.#backupDirectory);
-        return `${backupDir}/backup_${Utils.currentDateStamp}.zip`;
+    static #backupName() {
+        return `backup_${Utils.currentDateStamp}.zip`;
     }
 }
\ No newline at end of file
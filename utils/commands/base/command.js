@@ -1,6 +1,8 @@
 import fs from 'fs';
 import Utils from '../../utils.js';
-import PM2Manager from '../../pm2/manager.js';
+import ProcessManager from '../../process/manager.js';
+import UsageError from '../../errors/usage.js';
+import NotFoundError from '../../errors/not-found.js';
 
 /**
  * Represents an abstract base class for commands.
@@ -34,33 +36,44 @@ export default class BaseCommand {
     }
 
     /**
-     * Checks if the application can proceed based on the number of processes running.
+     * Checks if the application can proceed based on the number of processes running,
+     * the only instance is used if no name was given.
      *
      * @param {Object} argv - The arguments passed via the command line, processed by yargs.
-     * @returns {Promise<boolean>} - A promise that resolves to `true` if the operation can proceed, `false` otherwise.
+     * @returns {Promise<boolean>} - A promise that resolves to `true` if the operation can proceed.
+     * @throws {UsageError|NotFoundError} - If no name was given with multiple instances, or there are no instances.
      */
     static async canProceed(argv = {}) {
         const hasMultipleProcesses = await Utils.hasMultipleProcesses();
 
         if (hasMultipleProcesses) {
             if (!argv?.name) {
-                Utils.logFail('Please use the --name option to specify an instance. Use `ghosler ls` to list all the processes.');
-                return false;
+                throw new UsageError('Please use the --name option to specify an instance. Use `ghosler ls` to list all the processes.');
             }
         } else {
             if (!argv?.name) {
-                const processes = await PM2Manager.listProcesses();
+                const processes = await ProcessManager.listProcesses();
                 if (processes.length > 0) argv.name = processes[0].name;
-                else {
-                    Utils.logFail('No processes found.');
-                    return false;
-                }
+                else throw new NotFoundError('No processes found.');
             }
         }
 
         return true;
     }
 
+    /**
+     * Find a registered instance by its name.
+     *
+     * @param {string} name - The name of the instance.
+     * @returns {Promise<{name: string, path: string}>} - The instance, see `ProcessManager.listProcesses`.
+     * @throws {NotFoundError} - If no instance is registered with the name.
+     */
+    static async findProcess(name) {
+        const instance = await ProcessManager.getProcess(name);
+        if (!instance) throw new NotFoundError(`Unable to find the registered process: ${name}`);
+        return instance;
+    }
+
     /**
      * Check whether a directory is empty or not.
      *
@@ -0,0 +1,88 @@
+import Utils from '../utils.js';
+import BaseCommand from './base/command.js';
+import UsageError from '../errors/usage.js';
+import DownloadCache from '../download/cache.js';
+import OperationError from '../errors/operation.js';
+
+/**
+ * Class that manages the cache of the downloaded Ghosler archives.
+ */
+export default class Cache extends BaseCommand {
+
+    static yargsCommand() {
+        return {
+            command: 'cache',
+            description: 'Manage the cache of downloaded Ghosler archives.',
+            builder: (yargs) => {
+                return yargs.command({
+                    command: 'ls',
+                    description: 'List the cached Ghosler archives.',
+                    builder: (_) => null,
+                    handler: async (argv) => await this.#listTask(argv)
+                }).command({
+                    command: 'clean',
+                    description: 'Remove the cached Ghosler archives.',
+                    builder: (yargs) => {
+                        return yargs.option('older-than', {
+                            type: 'number',
+                            description: 'Only remove the archives cached more than this many days ago.',
+                        });
+                    }, handler: async (argv) => await this.#cleanTask(argv)
+                }).demandCommand(1, 'Use `ghosler cache ls` or `ghosler cache clean`.');
+            }, handler: async (_) => null
+        };
+    }
+
+    // noinspection JSUnusedLocalSymbols
+    /**
+     * Start the task listing the cached archives.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #listTask(argv) {
+        Utils.logStart('Listing cached archives...');
+
+        const entries = DownloadCache.list();
+        Utils.logResult({directory: DownloadCache.directory, entries});
+        if (entries.length === 0) {
+            Utils.logSucceed(`The cache is empty (${DownloadCache.directory}).`);
+            return;
+        }
+
+        const totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+        const lines = entries.map((entry, index) => {
+            return `  ${index + 1}. ${entry.repository} ${entry.key}, Cached: ${entry.cachedAt.toISOString()}, Size: ${Utils.formatBytes(entry.size)}`;
+        });
+
+        Utils.logSucceed(`List of cached archives (${DownloadCache.directory}, ${Utils.formatBytes(totalSize)}):\n${lines.join('\n')}`);
+    }
+
+    /**
+     * Start the task removing the cached archives.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #cleanTask(argv) {
+        if (argv.olderThan !== undefined && !(argv.olderThan >= 0)) {
+            throw new UsageError('`--older-than` must be a number of days.');
+        }
+
+        Utils.logStart('Cleaning the cache...');
+
+        let removed;
+        try {
+            removed = DownloadCache.clean(argv.olderThan);
+        } catch (error) {
+            throw new OperationError(`Unable to clean the cache, ${error.message}`, {cause: error});
+        }
+
+        const freed = removed.reduce((total, entry) => total + entry.size, 0);
+        Utils.logResult({removed, freed});
+        Utils.logSucceed(removed.length === 0
+            ? 'Nothing to remove.'
+            : `Removed ${removed.length} cached archive(s), freed ${Utils.formatBytes(freed)}.`
+        );
+    }
+}
\ No newline at end of file
@@ -0,0 +1,333 @@
+import path from 'path';
+import Utils from '../utils.js';
+import ProcessManager from '../process/manager.js';
+import BaseCommand from './base/command.js';
+import UsageError from '../errors/usage.js';
+import NotFoundError from '../errors/not-found.js';
+import ConfigValidator from '../config/validator.js';
+import ConfigurationError from '../errors/configuration.js';
+import ProcessManagerError from '../errors/process-manager.js';
+
+/**
+ * Class that reads & edits the configuration of a Ghosler instance.
+ */
+export default class Config extends BaseCommand {
+
+    static #unsafeKeys = ['__proto__', 'prototype', 'constructor'];
+
+    static yargsCommand() {
+        return {
+            command: 'config',
+            description: 'Read & edit the configuration of a Ghosler instance.',
+            builder: (yargs) => {
+                return yargs.command({
+                    command: 'get <key>',
+                    description: 'Print a configuration value, `key` is a dot path like `ghost.url`.',
+                    builder: (yargs) => this.#keyArgument(this.#nameOption(yargs)),
+                    handler: async (argv) => await this.#getTask(argv)
+                }).command({
+                    command: 'set <key> <value>',
+                    description: 'Set a configuration value, JSON values like numbers & booleans keep their type.',
+                    builder: (yargs) => {
+                        return this.#restartOption(this.#keyArgument(this.#nameOption(yargs))).positional('value', {
+                            type: 'string',
+                            description: 'The value to set.',
+                        }).option('string', {
+                            type: 'boolean',
+                            description: 'Store the value as text even if it is valid JSON, like a numeric password.',
+                        });
+                    },
+                    handler: async (argv) => await this.#setTask(argv)
+                }).command({
+                    command: 'unset <key>',
+                    description: 'Remove a configuration value.',
+                    builder: (yargs) => this.#restartOption(this.#keyArgument(this.#nameOption(yargs))),
+                    handler: async (argv) => await this.#unsetTask(argv)
+                }).command({
+                    command: 'list',
+                    description: 'Print all the configuration values, secrets are masked.',
+                    builder: (yargs) => this.#nameOption(yargs),
+                    handler: async (argv) => await this.#listTask(argv)
+                }).command({
+                    command: 'validate',
+                    description: 'Check the configuration against the keys, types & required values Ghosler expects.',
+                    builder: (yargs) => this.#nameOption(yargs),
+                    handler: async (argv) => await this.#validateTask(argv)
+                }).demandCommand(1, 'Use `ghosler config get`, `set`, `unset`, `list` or `validate`.');
+            }, handler: async (_) => null
+        };
+    }
+
+    /**
+     * Start the task printing a configuration value.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #getTask(argv) {
+        const configuration = await this.#loadConfiguration(argv);
+
+        const value = this.#getValue(configuration.content, this.#splitKey(argv.key));
+        if (value === undefined) throw new NotFoundError(`No value found for: ${argv.key}`);
+
+        Utils.logResult({key: argv.key, value});
+        Utils.logSucceed(`${argv.key}:`);
+        Utils.logInfo(typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value));
+    }
+
+    /**
+     * Start the task setting a configuration value.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #setTask(argv) {
+        const configuration = await this.#loadConfiguration(argv);
+
+        const value = argv.string ? String(argv.value) : Utils.parseConfigValue(String(argv.value));
+        const keys = this.#splitKey(argv.key);
+        const status = this.#setValue(configuration.content, keys, value);
+        if (status instanceof Error) throw new UsageError(`Unable to set ${argv.key}, ${status.message}`);
+
+        // nothing is written if the value would stop the instance from starting, like a port out of range.
+        const keyPath = keys.join('.');
+        const errors = ConfigValidator.validate(configuration.content).errors
+            .filter(error => error.path === keyPath || error.path.startsWith(`${keyPath}.`));
+        if (errors.length > 0) throw new UsageError(`Unable to set ${argv.key}, the value is not valid:${ConfigValidator.formatIssues(errors)}`);
+
+        await this.#saveConfiguration(argv, configuration, `Set ${argv.key}.`);
+    }
+
+    /**
+     * Start the task removing a configuration value.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #unsetTask(argv) {
+        const configuration = await this.#loadConfiguration(argv);
+
+        const keys = this.#splitKey(argv.key);
+        const parent = this.#getValue(configuration.content, keys.slice(0, -1));
+        const lastKey = keys[keys.length - 1];
+
+        if (!parent || typeof parent !== 'object' || !Object.hasOwn(parent, lastKey)) {
+            throw new NotFoundError(`No value found for: ${argv.key}`);
+        }
+
+        if (Array.isArray(parent)) parent.splice(Number(lastKey), 1);
+        else delete parent[lastKey];
+
+        await this.#saveConfiguration(argv, configuration, `Removed ${argv.key}.`);
+    }
+
+    /**
+     * Start the task printing all the configuration values.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #listTask(argv) {
+        const configuration = await this.#loadConfiguration(argv);
+
+        const values = this.#flatten(configuration.content).map(([key, value]) => {
+            const isSecret = ConfigValidator.secretKeyPattern.test(key.split('.').pop()) && value !== '' && value !== null;
+            return {key, value, isSecret};
+        });
+
+        Utils.logResult({
+            path: configuration.path,
+            values: Object.fromEntries(values.map(({key, value, isSecret}) => [key, isSecret ? '********' : value]))
+        });
+
+        const lines = values.map(({key, value, isSecret}) => `  ${key} = ${isSecret ? '********' : JSON.stringify(value)}`);
+        Utils.logSucceed(`Configuration of ${argv.name} (${configuration.path}):\n${lines.join('\n')}`);
+    }
+
+    /**
+     * Start the task validating the configuration.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #validateTask(argv) {
+        const instance = await this.#findInstance(argv, 'Validating configuration...');
+
+        const result = ConfigValidator.validateInstance(instance.path);
+        Utils.logResult({path: result.path, errors: result.errors, warnings: result.warnings});
+        const warnings = result.warnings.length > 0
+            ? `\nWarnings:${ConfigValidator.formatIssues(result.warnings)}`
+            : '';
+
+        if (!result.success) throw new ConfigurationError(`${result.message}${ConfigValidator.formatIssues(result.errors)}${warnings}`);
+        else if (warnings) Utils.logWarn(`${result.message}${warnings}`);
+        else Utils.logSucceed(result.message);
+    }
+
+    /**
+     * Find the instance to work with.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @param {string} message - The message to log while working.
+     * @returns {Promise<{name: string, path: string}>} - The instance.
+     * @throws {UsageError|NotFoundError} - If the instance is not found.
+     */
+    static async #findInstance(argv, message) {
+        await this.canProceed(argv);
+
+        Utils.logStart(message);
+        return await this.findProcess(argv.name);
+    }
+
+    /**
+     * Find the instance & read its configuration.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<{instancePath: string, path: string, content: Object}>} - The configuration.
+     * @throws {UsageError|NotFoundError|ConfigurationError} - If the instance is not found or its configuration is not readable.
+     */
+    static async #loadConfiguration(argv) {
+        const instance = await this.#findInstance(argv, 'Reading configuration...');
+
+        const configPath = Utils.ghoslerConfigurationPath(instance.path);
+        const content = Utils.ghoslerConfiguration(instance.path);
+        if (!configPath || !content) throw new ConfigurationError(`Unable to read the configuration file of ${argv.name}.`);
+
+        return {instancePath: instance.path, path: path.relative(instance.path, configPath), content};
+    }
+
+    /**
+     * Write the configuration back & restart the instance if asked to.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @param {{instancePath: string, content: Object}} configuration - The edited configuration.
+     * @param {string} message - The message to log once saved.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #saveConfiguration(argv, configuration, message) {
+        try {
+            await Utils.writeGhoslerConfiguration(configuration.instancePath, configuration.content);
+        } catch (error) {
+            throw new ConfigurationError(`Unable to write the configuration file, ${error.message}`, {cause: error});
+        }
+
+        Utils.logResult({key: argv.key, path: configuration.path});
+        Utils.logSucceed(message);
+
+        if (!argv.restart) {
+            Utils.logInfo(`Restart the instance to apply the change: \`ghosler restart --name ${argv.name}\`.`);
+            return;
+        }
+
+        Utils.logStart('Restarting Ghosler...');
+        const result = await ProcessManager.restart(argv.name);
+        if (!result.status) throw new ProcessManagerError(result.message);
+
+        Utils.logSucceed(result.message);
+    }
+
+    /**
+     * Split a dot path into its keys.
+     *
+     * @param {string} key - The dot path, like `mail.0.auth.user`.
+     * @returns {string[]} - The keys.
+     */
+    static #splitKey(key) {
+        return String(key).split('.').filter(Boolean);
+    }
+
+    /**
+     * Read a value by its keys.
+     *
+     * @param {Object} content - The configuration.
+     * @param {string[]} keys - The keys leading to the value.
+     * @returns {*} - The value, undefined if it does not exist.
+     */
+    static #getValue(content, keys) {
+        return keys.reduce((value, key) => {
+            return value !== null && typeof value === 'object' && Object.hasOwn(value, key) ? value[key] : undefined;
+        }, content);
+    }
+
+    /**
+     * Set a value by its keys, the missing objects on the way are created, arrays for numeric keys.
+     *
+     * @param {Object} content - The configuration.
+     * @param {string[]} keys - The keys leading to the value.
+     * @param {*} value - The value to set.
+     * @returns {void|Error} - Error if a key is not allowed or a key on the way is not an object, void otherwise.
+     */
+    static #setValue(content, keys, value) {
+        if (keys.length === 0) return new Error('the key is empty.');
+
+        // these would write onto the prototypes instead of the configuration.
+        const unsafeKey = keys.find(key => this.#unsafeKeys.includes(key));
+        if (unsafeKey) return new Error(`\`${unsafeKey}\` is not allowed in a key.`);
+
+        let section = content;
+        for (const [index, key] of keys.slice(0, -1).entries()) {
+            if (section[key] === undefined || section[key] === null) section[key] = /^\d+$/.test(keys[index + 1]) ? [] : {};
+            else if (typeof section[key] !== 'object') {
+                return new Error(`${keys.slice(0, index + 1).join('.')} is not an object.`);
+            }
+
+            section = section[key];
+        }
+
+        section[keys[keys.length - 1]] = value;
+    }
+
+    /**
+     * Flatten the configuration into dot paths & their values.
+     *
+     * @param {*} value - The configuration or a part of it.
+     * @param {string} prefix - The dot path of the value, for the recursion.
+     * @returns {Array<[string, *]>} - The dot paths with their values, objects & arrays are expanded.
+     */
+    static #flatten(value, prefix = '') {
+        if (value === null || typeof value !== 'object' || Object.keys(value).length === 0) {
+            return prefix ? [[prefix, value]] : [];
+        }
+
+        return Object.entries(value).flatMap(([key, child]) => this.#flatten(child, prefix ? `${prefix}.${key}` : key));
+    }
+
+    /**
+     * Add the `--name` option.
+     *
+     * @param {Object} yargs - The yargs instance.
+     * @returns {Object} - The yargs instance.
+     */
+    static #nameOption(yargs) {
+        return yargs.option('name', {
+            type: 'string',
+            description: 'Name of the Ghosler instance.',
+        });
+    }
+
+    /**
+     * Add the `key` argument.
+     *
+     * @param {Object} yargs - The yargs instance.
+     * @returns {Object} - The yargs instance.
+     */
+    static #keyArgument(yargs) {
+        return yargs.positional('key', {
+            type: 'string',
+            description: 'The dot path of the value, like `ghost.url` or `mail.0.auth.user`.',
+        });
+    }
+
+    /**
+     * Add the `--restart` option.
+     *
+     * @param {Object} yargs - The yargs instance.
+     * @returns {Object} - The yargs instance.
+     */
+    static #restartOption(yargs) {
+        return yargs.option('restart', {
+            type: 'boolean',
+            description: 'Restart the instance after the change.',
+        });
+    }
+}
\ No newline at end of file
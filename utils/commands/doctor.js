@@ -0,0 +1,216 @@
+import fs from 'fs';
+import path from 'path';
+import detect from 'detect-port';
+import Utils from '../utils.js';
+import ProcessManager from '../process/manager.js';
+import BaseCommand from './base/command.js';
+import ConfigValidator from '../config/validator.js';
+import ChecksFailedError from '../errors/checks-failed.js';
+
+/**
+ * Class that checks the environment & the Ghosler instances for common problems.
+ */
+export default class Doctor extends BaseCommand {
+
+    // the CLI relies on the global `fetch`.
+    static #minimumNodeVersion = '18.0.0';
+
+    // working directories of the install, update, backup & restore commands, left behind when one is interrupted.
+    static #leftoverDirectories = ['.temp', '.temp-extract', '.update', '.rollback', '.temp-backup', '.temp-restore'];
+
+    static yargsCommand() {
+        return {
+            command: 'doctor',
+            description: 'Check the environment & the Ghosler instances for common problems.',
+            builder: (yargs) => {
+                return yargs.option('name', {
+                    type: 'string',
+                    description: 'Name of the Ghosler instance to check, all of them by default.',
+                });
+            }, handler: async (argv) => await this.#performTask(argv)
+        };
+    }
+
+    /**
+     * Start the diagnostics, the command fails if any of the checks fails.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #performTask(argv) {
+        Utils.logStart('Checking the environment...');
+
+        const results = [this.#checkNodeVersion(process.versions.node, this.#minimumNodeVersion, 'the CLI')];
+
+        // a missing runtime is only a problem when there is none to run the instances with.
+        const versions = await ProcessManager.versions();
+        const hasRuntime = Object.values(versions).some(Boolean);
+        for (const [runtime, version] of Object.entries(versions)) {
+            const {displayName, installHint} = ProcessManager.manager(runtime);
+            results.push(version
+                ? {status: 'pass', message: `${displayName} ${version} is installed.`}
+                : {status: hasRuntime ? 'warn' : 'fail', message: `${displayName} is not available, the \`${runtime}\` runtime cannot be used.`, fix: installHint}
+            );
+        }
+
+        if (hasRuntime) results.push(...await this.#checkInstances(argv.name));
+
+        this.#report(results);
+    }
+
+    /**
+     * Check the registered instances.
+     *
+     * @param {string|undefined} name - The instance to check, all of them if not provided.
+     * @returns {Promise<Array<{status: string, message: string, fix: string|undefined}>>} - The results of the checks.
+     */
+    static async #checkInstances(name) {
+        let instances;
+        try {
+            instances = await ProcessManager.listProcesses();
+        } catch (error) {
+            return [{status: 'fail', message: `Unable to list the instances, ${error.message}`, fix: 'Check that the runtimes are running, like the PM2 daemon with `pm2 ping`.'}];
+        }
+
+        if (name) {
+            instances = instances.filter(instance => instance.name === name);
+            if (instances.length === 0) {
+                return [{status: 'fail', message: `Unable to find the registered process: ${name}`, fix: 'Use `ghosler ls` to list all the processes.'}];
+            }
+        }
+
+        if (instances.length === 0) {
+            return [{status: 'warn', message: 'No Ghosler instances are registered.', fix: 'Install one with `ghosler install`.'}];
+        }
+
+        const ports = new Map();
+        const results = [];
+        for (const instance of instances) {
+            results.push(...await this.#checkInstance(instance, ports));
+        }
+
+        return results;
+    }
+
+    /**
+     * Check a single instance.
+     *
+     * @param {import('../process/base.js').ProcessInfo} instance - The instance to check.
+     * @param {Map<number, string>} ports - The ports of the instances checked so far, to find the ones shared.
+     * @returns {Promise<Array<{status: string, message: string, fix: string|undefined}>>} - The results of the checks.
+     */
+    static async #checkInstance(instance, ports) {
+        const {name, path: instancePath, status, runtime} = instance;
+        const check = (result, message, fix = undefined) => ({status: result, message: `${name}: ${message}`, fix});
+
+        if (!instancePath || !fs.existsSync(instancePath)) {
+            return [check('fail', `the directory ${instancePath} does not exist.`, `Remove the process from ${ProcessManager.manager(runtime).displayName} & install it again.`)];
+        }
+
+        const results = [];
+
+        if (status === 'online') results.push(check('pass', `the process is online (${instancePath}).`));
+        else if (status === 'errored') results.push(check('fail', 'the process has errored.', `Check \`ghosler logs --name ${name} --type error\`, then \`ghosler restart --name ${name}\`.`));
+        else results.push(check('warn', `the process is ${status}.`, `Start it with \`ghosler restart --name ${name}\`.`));
+
+        // containers have their own dependencies & Node.
+        if (runtime !== 'docker') {
+            if (!fs.existsSync(path.join(instancePath, 'node_modules'))) {
+                results.push(check('fail', 'the dependencies are not installed.', `Run \`npm ci --omit=dev --prefix ${instancePath}\`, then \`ghosler restart --name ${name}\`.`));
+            }
+
+            const engine = Utils.fileAsJson(instancePath, 'package.json')?.engines?.node;
+            const requiredNode = engine?.match(/^\s*(?:>=|\^|~)?\s*v?(\d+(?:\.\d+)*)/)?.[1];
+            if (requiredNode) results.push(this.#checkNodeVersion(process.versions.node, requiredNode, name));
+        }
+
+        const configPath = Utils.ghoslerConfigurationPath(instancePath);
+        const configuration = configPath ? this.#readConfiguration(configPath) : null;
+        if (!configPath) {
+            results.push(check('fail', 'no configuration file found.', `Update the instance with \`ghosler update --name ${name}\` to restore the default one.`));
+        } else {
+            if (path.dirname(configPath) === path.resolve(instancePath)) {
+                results.push(check('warn', 'the configuration is in its old location, the root of the instance.', `Move it to ${path.join(instancePath, 'configuration', 'config.production.json')}.`));
+            }
+
+            const validation = ConfigValidator.validateInstance(instancePath);
+            if (!validation.success) {
+                results.push(check('fail', `${validation.message}${ConfigValidator.formatIssues(validation.errors)}`, `Fix it with \`ghosler config set --name ${name}\`.`));
+            } else if (validation.warnings.length > 0) {
+                results.push(check('warn', `${validation.message}${ConfigValidator.formatIssues(validation.warnings)}`, `See \`ghosler config validate --name ${name}\`.`));
+            }
+        }
+
+        const port = configuration?.ghosler?.port ?? ProcessManager.defaultPort;
+        if (ports.has(port)) {
+            results.push(check('fail', `port ${port} is also configured for ${ports.get(port)}.`, `Change it with \`ghosler config set --name ${name} ghosler.port <port>\`.`));
+        } else if (status !== 'online' && await detect(port) !== port) {
+            results.push(check('fail', `port ${port} is already taken by another program.`, `Change it with \`ghosler config set --name ${name} ghosler.port <port>\`.`));
+        }
+
+        ports.set(port, name);
+
+        for (const directory of this.#leftoverDirectories) {
+            const leftoverPath = path.join(instancePath, directory);
+            if (fs.existsSync(leftoverPath)) {
+                results.push(check('warn', `the directory ${directory} was left behind by an interrupted command.`, `Remove it with \`rm -rf ${leftoverPath}\` when no command is running.`));
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Read a configuration file, the parse errors are already reported by the validation.
+     *
+     * @param {string} configPath - The path of the configuration file.
+     * @returns {Object|null} - The configuration, null if it is not valid JSON.
+     */
+    static #readConfiguration(configPath) {
+        try {
+            return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check the running Node version against a minimum one.
+     *
+     * @param {string} current - The running Node version.
+     * @param {string} minimum - The minimum Node version.
+     * @param {string} requiredBy - What requires the minimum version.
+     * @returns {{status: string, message: string, fix: string|undefined}} - The result of the check.
+     */
+    static #checkNodeVersion(current, minimum, requiredBy) {
+        return Utils.compareVersions(current, minimum) >= 0
+            ? {status: 'pass', message: `Node ${current} is supported by ${requiredBy} (>= ${minimum}).`}
+            : {status: 'fail', message: `Node ${current} is too old, ${requiredBy} requires ${minimum} or newer.`, fix: `Install Node ${minimum} or newer.`};
+    }
+
+    /**
+     * Print the results of the checks.
+     *
+     * @param {Array<{status: string, message: string, fix: string|undefined}>} results - The results of the checks.
+     * @returns {void} - Nothing.
+     * @throws {ChecksFailedError} - If any of the checks failed.
+     */
+    static #report(results) {
+        Utils.logResult({checks: results});
+
+        for (const result of results) {
+            const message = result.fix ? `${result.message}\n  Fix: ${result.fix}` : result.message;
+            if (result.status === 'pass') Utils.logSucceed(message);
+            else if (result.status === 'warn') Utils.logWarn(message);
+            else Utils.logFail(message);
+        }
+
+        const failures = results.filter(result => result.status === 'fail').length;
+        const warnings = results.filter(result => result.status === 'warn').length;
+        const summary = `${results.length - failures - warnings} passed, ${warnings} warning(s), ${failures} failure(s).`;
+
+        if (failures > 0) throw new ChecksFailedError(summary);
+        else if (warnings > 0) Utils.logWarn(summary);
+        else Utils.logSucceed(summary);
+    }
+}
\ No newline at end of file
@@ -1,7 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import Utils from '../utils.js';
-import PM2Manager from '../pm2/manager.js';
+import ProcessManager from '../process/manager.js';
 import BaseCommand from './base/command.js';
 
 /**
@@ -29,22 +29,18 @@ export default class Flush extends BaseCommand {
      * @returns {Promise<void>} - Nothing.
      */
     static async #performTask(argv) {
-        const canProceed = await this.canProceed(argv);
-        if (!canProceed) return;
+        await this.canProceed(argv);
 
         Utils.logStart('Flushing logs...');
 
-        await PM2Manager.flush(argv.name);
+        await ProcessManager.flush(argv.name);
 
-        const instance = await PM2Manager.getProcess(argv.name);
-        if (!instance) {
-            Utils.logFail(`Unable to find the registered process: ${argv.name}`);
-            return;
-        }
+        const instance = await this.findProcess(argv.name);
 
         this.#clearLogFile(instance.path, 'error');
         this.#clearLogFile(instance.path, 'debug');
 
+        Utils.logResult({name: argv.name});
         Utils.logSucceed('Logs flushed.');
     }
 
@@ -1,44 +1,128 @@
+import fs from 'fs';
+import path from 'path';
 import inquirer from 'inquirer';
+import detect from 'detect-port';
 
 import Utils from '../utils.js';
+import Startup from './startup.js';
 import BaseCommand from './base/command.js';
-import PM2Manager from '../pm2/manager.js';
+import ProcessManager from '../process/manager.js';
+import UsageError from '../errors/usage.js';
+import DownloadError from '../errors/download.js';
+import OperationError from '../errors/operation.js';
+import ConfigurationError from '../errors/configuration.js';
+import ProcessManagerError from '../errors/process-manager.js';
 
 /**
  * Class that performs Ghosler installation.
  */
 export default class Install extends BaseCommand {
 
+    static #seedVariablePrefix = 'GHOSLER_CONFIG';
+
     static yargsCommand() {
         return {
             command: 'install',
             description: 'Install Ghosler from its GitHub source.',
             builder: (yargs) => {
-                return yargs.option('branch', {
+                // `--version` selects a Ghosler release here, not the version of the CLI.
+                return yargs.version(false).option('branch', {
                     type: 'string',
                     default: 'release',
                     description: 'Install ghosler from a specific branch or the latest release.',
-                });
+                }).option('version', {
+                    type: 'string',
+                    description: 'Install a specific release version instead of the latest one, see `ghosler releases`.',
+                }).option('from-archive', {
+                    type: 'string',
+                    description: 'Install from a local Ghosler zip archive instead of downloading it.',
+                }).option('from-dir', {
+                    type: 'string',
+                    description: 'Install from a local directory with the Ghosler source instead of downloading it.',
+                }).option('name', {
+                    type: 'string',
+                    description: 'Name of the new instance, skips the prompt.',
+                }).option('port', {
+                    type: 'number',
+                    description: 'The port for Ghosler to listen on, must be free. Default: the first free port from 2369.',
+                }).option('dir', {
+                    type: 'string',
+                    description: 'The directory to install Ghosler in, created if needed. Default: the current directory.',
+                }).option('force', {
+                    type: 'boolean',
+                    description: 'Install in a directory that is not empty, files with the same names are replaced.',
+                }).option('config', {
+                    type: 'string',
+                    description: 'A JSON file with values to seed `config.production.json` with, like the Ghost url & admin key.',
+                }).option('yes', {
+                    alias: 'y',
+                    type: 'boolean',
+                    description: 'Do not prompt, use the defaults for anything not given. Implied when not in a terminal.',
+                }).option('cache', {
+                    type: 'boolean',
+                    default: true,
+                    description: 'Reuse the downloaded archives shared by the instances, `--no-cache` to always download.',
+                }).option('runtime', {
+                    choices: ProcessManager.runtimes,
+                    default: ProcessManager.defaultRuntime,
+                    description: 'What runs the instance, PM2, a generated systemd unit (a user unit unless run as root) or a Docker container.',
+                }).option('image', {
+                    type: 'string',
+                    description: 'A Ghosler image to pull for the `docker` runtime instead of building one from the downloaded source.',
+                }).option('startup', {
+                    type: 'boolean',
+                    description: 'Start the instances when the server boots, see `ghosler startup`. Default: prompt, or no without a terminal.',
+                }).conflicts('from-archive', ['from-dir', 'version']).conflicts('from-dir', 'version');
             },
             handler: async (argv) => {
-                const answer = await inquirer.prompt([{
-                    type: 'input',
-                    message: 'Give a name to this instance (default: ghosler-app):',
-                    name: 'instance',
-                    default: 'ghosler-app',
-                    validate(value) {
-                        const patternPassed = value.match(/^[a-zA-Z0-9-_]+$/);
-                        if (value.length >= 4 && patternPassed) return true;
-                        return 'Name must be at-least 4 characters & can only include alphabets, numbers, hyphen and dashes!';
-                    }
-                }]);
-
-                argv.instance = answer.instance;
+                argv.instance = await this.#instanceName(argv);
                 await this.#performTask(argv);
             }
         };
     }
 
+    /**
+     * Find the name of the new instance, from `--name` or a prompt.
+     *
+     * The prompt is skipped with `--yes` or when there is no terminal to answer it, the default name is used then.
+     *
+     * @param {Object} argv - `yargs` argument object containing user input.
+     * @returns {Promise<string>} - The instance name.
+     * @throws {UsageError} - If the given name is invalid.
+     */
+    static async #instanceName(argv) {
+        if (argv.name !== undefined) {
+            const validation = this.#validateName(String(argv.name));
+            if (validation === true) return String(argv.name);
+
+            throw new UsageError(validation);
+        }
+
+        if (argv.yes || !process.stdin.isTTY || Utils.isJsonOutput) return ProcessManager.baseAppName;
+
+        const answer = await inquirer.prompt([{
+            type: 'input',
+            message: `Give a name to this instance (default: ${ProcessManager.baseAppName}):`,
+            name: 'instance',
+            default: ProcessManager.baseAppName,
+            validate: (value) => this.#validateName(value)
+        }]);
+
+        return answer.instance;
+    }
+
+    /**
+     * Validate the name of an instance.
+     *
+     * @param {string} value - The instance name.
+     * @returns {true|string} - `true` if the name is valid, the reason otherwise.
+     */
+    static #validateName(value) {
+        const patternPassed = value.match(/^[a-zA-Z0-9-_]+$/);
+        if (value.length >= 4 && patternPassed) return true;
+        return 'Name must be at-least 4 characters & can only include alphabets, numbers, hyphen and dashes!';
+    }
+
     /**
      * Start the installation task.
      *
@@ -48,44 +132,229 @@ export default class Install extends BaseCommand {
     static async #performTask(argv) {
         Utils.logStart('Initializing');
 
-        const canProceed = await this.isDirectoryEmpty();
-        if (!canProceed) {
-            Utils.logFail('Current directory is not empty!');
-            return;
-        }
-
         // noinspection JSUnresolvedReference
         const branch = argv.branch;
-        const instance = argv.instance ?? 'ghosler-app';
+        const version = argv.version;
+        const instance = argv.instance ?? ProcessManager.baseAppName;
 
-        // Cloning
-        let message = 'Cloning ';
-        if (branch === 'release') message += 'latest release...';
-        else message += `${branch} branch...`;
+        // fail before downloading anything.
+        const port = await this.#checkPort(argv.port);
+        if (argv.image && argv.runtime !== 'docker') throw new UsageError('`--image` only works with `--runtime docker`.');
+        await ProcessManager.checkRuntime(argv.runtime);
 
-        Utils.logStart(message);
-        const clone = await Utils.cloneGhosler(branch);
-
-        if (clone.success) Utils.logSucceed(clone.message);
-        else {
-            Utils.logFail(`Failed to clone the repository, ${clone.message}`);
-            return;
+        let seedValues;
+        try {
+            seedValues = this.#seedValues(argv.config);
+        } catch (error) {
+            throw new ConfigurationError(`Unable to read the configuration values, ${error.message}`, {cause: error});
         }
 
-        // Setting up directories
-        Utils.logStart("Setting up directories...");
-        const extraction = await Utils.extractGhosler();
+        const instancePath = path.resolve(argv.dir ?? process.cwd());
+
+        await this.#checkDirectory(instancePath, argv.force);
+
+        let clone;
+        if (argv.fromDir) {
+            Utils.logStart('Copying Ghosler...');
+            const copy = await Utils.copyGhosler(path.resolve(argv.fromDir), instancePath, argv.runtime === 'docker');
+            if (!copy.success) throw new OperationError(`Failed to setup the directory, ${copy.message}`);
 
-        if (!extraction.success) {
-            Utils.logFail(`Failed to setup the directory, ${extraction.message}`);
-            return;
+            Utils.logSucceed(copy.message);
+        } else {
+            clone = await this.#fetchGhosler(argv.fromArchive, branch, version, argv.cache);
+
+            // Setting up directories
+            Utils.logStart("Setting up directories...");
+            const extraction = await Utils.extractGhosler(instancePath, argv.runtime === 'docker');
+
+            if (!extraction.success) throw new OperationError(`Failed to setup the directory, ${extraction.message}`);
+
+            Utils.logSucceed(extraction.message);
         }
 
-        Utils.logSucceed(extraction.message);
+        if (Object.keys(seedValues).length > 0) {
+            const seeded = await Utils.seedConfiguration(instancePath, seedValues);
+            seeded ? Utils.logSucceed('Configuration values seeded.') : Utils.logWarn('No configuration file found, the values were not seeded.');
+        }
+
+        // branch installs are updated by comparing the commits.
+        if (clone?.commit) await Utils.updateGhoslerValues(instancePath, {commit: clone.commit});
+        if (argv.image) await Utils.updateGhoslerValues(instancePath, {image: argv.image});
 
         Utils.logStart("Installing Ghosler...");
 
-        const result = await PM2Manager.register(branch, instance);
-        result.status ? Utils.logSucceed(result.message) : Utils.logFail(result.message);
+        const result = await ProcessManager.register(branch, instance, instancePath, false, port, argv.runtime);
+
+        // the name is made unique & the port is moved to a free one while registering.
+        const registered = Utils.ghoslerConfiguration(instancePath)?.ghosler ?? {};
+        Utils.logResult({
+            name: registered.instance ?? instance,
+            path: instancePath,
+            branch: branch,
+            version: Utils.currentGhoslerVersion(instancePath).message,
+            port: registered.port ?? port,
+            runtime: argv.runtime,
+        });
+
+        if (!result.status) throw new ProcessManagerError(result.message);
+
+        Utils.logSucceed(result.message);
+
+        if (await this.#shouldEnableStartup(argv)) await this.#enableStartup();
+    }
+
+    /**
+     * Find whether the instances should start when the server boots, from `--startup` or a prompt.
+     *
+     * The prompt is skipped with `--yes` or when there is no terminal to answer it, startup is not enabled then.
+     *
+     * @param {Object} argv - `yargs` argument object containing user input.
+     * @returns {Promise<boolean>} - `true` to enable the startup, `false` otherwise.
+     */
+    static async #shouldEnableStartup(argv) {
+        if (argv.startup !== undefined) return argv.startup;
+        if (argv.yes || !process.stdin.isTTY || Utils.isJsonOutput) return false;
+
+        const answer = await inquirer.prompt([{
+            type: 'confirm',
+            message: 'Start the Ghosler instances when the server boots?',
+            name: 'startup',
+            default: false
+        }]);
+
+        return answer.startup;
+    }
+
+    /**
+     * Enable the startup on boot, the instance is installed already so a failure is only reported.
+     *
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #enableStartup() {
+        try {
+            await Startup.enableStartup();
+        } catch (error) {
+            Utils.logWarn(`Unable to enable the startup on boot, try again with \`ghosler startup enable\`: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check that the instance can be installed in a directory, which is created if needed.
+     *
+     * @param {string} instancePath - The directory to install Ghosler in.
+     * @param {boolean} force - Whether to install in the directory even if it is not empty.
+     * @returns {Promise<void>} - Nothing.
+     * @throws {UsageError|OperationError} - If the installation cannot proceed in the directory.
+     */
+    static async #checkDirectory(instancePath, force = false) {
+        let isDirectory;
+        try {
+            if (!fs.existsSync(instancePath)) fs.mkdirSync(instancePath, {recursive: true});
+            isDirectory = fs.statSync(instancePath).isDirectory();
+        } catch (error) {
+            throw new OperationError(`Unable to create the directory, ${error.message}`, {cause: error});
+        }
+
+        if (!isDirectory) throw new UsageError(`Not a directory: ${instancePath}`);
+        if (await this.isDirectoryEmpty(instancePath)) return;
+
+        if (!force) throw new UsageError(`Directory is not empty: ${instancePath}. Use \`--force\` to install over its files.`);
+
+        // never install over a running instance, it would be left with mixed files.
+        const owner = (await ProcessManager.listProcesses()).find(process => path.resolve(process.path) === instancePath);
+        if (owner) {
+            throw new UsageError(`Directory belongs to the instance '${owner.name}', use \`ghosler update\` or \`ghosler uninstall\` instead.`);
+        }
+
+        Utils.logWarn(`Directory is not empty, installing over its files: ${instancePath}`);
+    }
+
+    /**
+     * Check that a requested port is free.
+     *
+     * @param {number|undefined} port - The port given with `--port`.
+     * @returns {Promise<number>} - The port to start the search for a free one from.
+     * @throws {UsageError} - If the requested port is invalid or already in use.
+     */
+    static async #checkPort(port) {
+        if (port === undefined) return ProcessManager.defaultPort;
+
+        if (!Number.isInteger(port) || port < 1 || port > 65535) throw new UsageError(`Invalid port: ${port}`);
+        if (await detect(port) !== port) throw new UsageError(`Port ${port} is already in use.`);
+
+        return port;
+    }
+
+    /**
+     * Collect the values to seed the configuration with, from a JSON file & the environment.
+     *
+     * Variables named `GHOSLER_CONFIG__<key>__<nested key>` override the file, like `GHOSLER_CONFIG__ghost__url`.
+     * Their values are parsed as JSON when possible so that numbers & booleans keep their type.
+     *
+     * @param {string|undefined} configFile - The JSON file given with `--config`.
+     * @returns {Object} - The values, empty if there are none.
+     * @throws {Error} - If the file cannot be read or is not a JSON object.
+     */
+    static #seedValues(configFile) {
+        let values = {};
+        if (configFile) {
+            values = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+            if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                throw new Error(`${configFile} must contain a JSON object.`);
+            }
+        }
+
+        const prefix = `${this.#seedVariablePrefix}__`;
+        for (const [variable, rawValue] of Object.entries(process.env)) {
+            if (!variable.startsWith(prefix)) continue;
+
+            const keys = variable.substring(prefix.length).split('__').filter(Boolean);
+            if (keys.length === 0) continue;
+
+            const value = Utils.parseConfigValue(rawValue);
+
+            let section = values;
+            keys.slice(0, -1).forEach(key => {
+                if (!section[key] || typeof section[key] !== 'object') section[key] = {};
+                section = section[key];
+            });
+            section[keys[keys.length - 1]] = value;
+        }
+
+        return values;
+    }
+
+    /**
+     * Download the Ghosler archive, or use a local one.
+     *
+     * @param {string|undefined} archivePath - A local archive to use instead of downloading one.
+     * @param {string} branch - The branch to download.
+     * @param {string|undefined} version - The release version to download, the latest if not provided.
+     * @param {boolean} useCache - Whether to use the download cache.
+     * @returns {Promise<{success: boolean, message: string, commit: string|undefined}>} - The result.
+     * @throws {DownloadError} - If the archive cannot be used or downloaded.
+     */
+    static async #fetchGhosler(archivePath, branch, version, useCache) {
+        if (archivePath) {
+            Utils.logStart('Using local archive...');
+            const staging = await Utils.stageGhoslerArchive(path.resolve(archivePath));
+            if (!staging.success) throw new DownloadError(`Failed to use the archive, ${staging.message}`);
+
+            Utils.logSucceed(staging.message);
+            return staging;
+        }
+
+        // Cloning
+        let message = 'Cloning ';
+        if (branch === 'release') message += version ? `release ${version}...` : 'latest release...';
+        else message += `${branch} branch...`;
+
+        Utils.logStart(message);
+        const clone = await Utils.cloneGhosler(branch, version, useCache);
+
+        if (!clone.success) throw new DownloadError(`Failed to clone the repository, ${clone.message}`);
+
+        Utils.logSucceed(clone.message);
+        return clone;
     }
 }
\ No newline at end of file
@@ -1,4 +1,4 @@
-import PM2Manager from '../pm2/manager.js';
+import ProcessManager from '../process/manager.js';
 import BaseCommand from './base/command.js';
 
 /**
@@ -30,9 +30,8 @@ export default class Logs extends BaseCommand {
      * @returns {Promise<void>} - Nothing.
      */
     static async #performTask(argv) {
-        const canProceed = await this.canProceed(argv);
-        if (!canProceed) return;
+        await this.canProceed(argv);
 
-        await PM2Manager.logs(argv.name, argv.type);
+        await ProcessManager.logs(argv.name, argv.type);
     }
 }
\ No newline at end of file
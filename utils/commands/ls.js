@@ -1,5 +1,5 @@
 import Utils from '../utils.js';
-import PM2Manager from '../pm2/manager.js';
+import ProcessManager from '../process/manager.js';
 import BaseCommand from './base/command.js';
 
 /**
@@ -24,7 +24,9 @@ export default class Ls extends BaseCommand {
      * @returns {Promise<void>} - Nothing.
      */
     static async #performTask(argv) {
-        const message = await PM2Manager.ls();
+        Utils.logResult({processes: await ProcessManager.listProcesses()});
+
+        const message = await ProcessManager.ls();
         Utils.logSucceed(message);
     }
 }
\ No newline at end of file
@@ -1,8 +1,9 @@
 import fs from 'fs';
 import path from 'path';
 import Utils from '../utils.js';
-import PM2Manager from '../pm2/manager.js';
+import ProcessManager from '../process/manager.js';
 import BaseCommand from './base/command.js';
+import ProcessManagerError from '../errors/process-manager.js';
 
 /**
  * Class that attempts to perform a migration.
@@ -29,7 +30,8 @@ export default class Migrate extends BaseCommand {
         // get current version
         Utils.logStart('Attempting migration...');
         const cliVersion = Utils.cliPackageVersion;
-        const processes = await PM2Manager.listProcesses();
+        const processes = await ProcessManager.listProcesses();
+        Utils.logResult({instances: processes.map(process => process.name)});
 
         if (processes.length === 0) {
             Utils.logSucceed('No processes found for migration!');
@@ -48,7 +50,7 @@ export default class Migrate extends BaseCommand {
      */
     static async #v1_0_84(cliVersion, processes) {
         // migration was first added on 1.0.84 for updating an instance's `config.production.json` file.
-        if (Utils.versionToInt(cliVersion) >= Utils.versionToInt('1.0.84')) {
+        if (Utils.compareVersions(cliVersion, '1.0.84') >= 0) {
             if (processes.length === 1) {
                 Utils.logStart('Migrating to 1.0.84');
 
@@ -57,12 +59,14 @@ export default class Migrate extends BaseCommand {
 
                 // branch was always `release` & the instance name was always `ghosler-app`
                 await Utils.updateConfigurations('release', defaultProcess.name, defaultProcess.path, false, 2369, true);
-                const status = await PM2Manager.forceRegisterForMigration('release', defaultProcess.name, defaultProcess.path);
+                const status = await ProcessManager.forceRegisterForMigration('release', defaultProcess.name, defaultProcess.path);
                 if (status) {
                     Utils.logSucceed('Migration 1.0.84 complete, restarting ghosler...');
 
-                    const {status, message} = await PM2Manager.restart(defaultProcess.name, true);
-                    status ? Utils.logSucceed(message) : Utils.logFail(message);
+                    const {status, message} = await ProcessManager.restart(defaultProcess.name, true);
+                    if (!status) throw new ProcessManagerError(message);
+
+                    Utils.logSucceed(message);
                 } else {
                     Utils.logWarn('Migration failed for 1.0.84!');
                 }
@@ -80,7 +84,7 @@ export default class Migrate extends BaseCommand {
      * @param {Array<{pid: string, name: string, path: string, status: string}>} processes - The process list to check.
      */
     static async #v1_0_86(cliVersion, processes) {
-        if (Utils.versionToInt(cliVersion) >= Utils.versionToInt('1.0.86')) {
+        if (Utils.compareVersions(cliVersion, '1.0.86') >= 0) {
             Utils.logStart('Migrating to 1.0.86');
 
             let migrationCompletedGracefully = true;
@@ -99,7 +103,8 @@ export default class Migrate extends BaseCommand {
                     const packageJsonContent = fs.readFileSync(pkgJsonFileContent, 'utf8');
                     const packageJsonFile = JSON.parse(packageJsonContent);
 
-                    if (Utils.versionToInt(packageJsonFile.version) >= 94) {
+                    // the configuration directory was introduced in Ghosler 0.94.
+                    if (Utils.compareVersions(packageJsonFile.version, '0.94') >= 0) {
                         if (!fs.existsSync(newConfigPath)) {
                             fs.mkdirSync(newConfigPath, {recursive: true});
                         }
@@ -108,7 +113,7 @@ export default class Migrate extends BaseCommand {
                         fs.renameSync(configFilePath, newConfigFilePath);
 
                         // restart this instance.
-                        const status = await PM2Manager.restart(process.name, true);
+                        const status = await ProcessManager.restart(process.name, true);
                         if (status) {
                             migrationCompletedGracefully = true;
                             Utils.logSucceed(`Migration for ${process.name} 1.0.86 complete.`);
@@ -0,0 +1,49 @@
+import Utils from '../utils.js';
+import BaseCommand from './base/command.js';
+import DownloadError from '../errors/download.js';
+
+/**
+ * Class that prints the available Ghosler releases.
+ */
+export default class Releases extends BaseCommand {
+
+    static yargsCommand() {
+        return {
+            command: 'releases',
+            description: 'Print the available Ghosler release versions.',
+            builder: (_) => null,
+            handler: async (argv) => await this.#performTask(argv)
+        };
+    }
+
+    // noinspection JSUnusedLocalSymbols
+    /**
+     * List the published releases of Ghosler.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #performTask(argv) {
+        Utils.logStart('Fetching releases...');
+
+        const releases = await Utils.listReleases();
+        if (!releases) throw new DownloadError('Unable to fetch the releases!');
+
+        Utils.logResult({releases});
+        if (releases.length === 0) {
+            Utils.logSucceed('No releases found.');
+            return;
+        }
+
+        // same as GitHub, pre-releases are never the latest release.
+        const latest = releases.find(release => !release.prerelease);
+
+        const lines = releases.map((release, index) => {
+            const publishedAt = release.publishedAt ? release.publishedAt.substring(0, 10) : 'unknown';
+            const labels = [release === latest ? 'latest' : null, release.prerelease ? 'pre-release' : null].filter(Boolean);
+            return `  ${index + 1}. ${release.version}, Published: ${publishedAt}${labels.length ? ` (${labels.join(', ')})` : ''}`;
+        });
+
+        Utils.logSucceed(`List of available releases:\n${lines.join('\n')}`);
+    }
+}
\ No newline at end of file
@@ -1,9 +1,10 @@
 import Utils from '../utils.js';
-import PM2Manager from '../pm2/manager.js';
+import ProcessManager from '../process/manager.js';
 import BaseCommand from './base/command.js';
+import ProcessManagerError from '../errors/process-manager.js';
 
 /**
- * Class that performs a restart via PM2.
+ * Class that restarts a Ghosler instance.
  */
 export default class Restart extends BaseCommand {
 
@@ -28,11 +29,13 @@ export default class Restart extends BaseCommand {
      * @returns {Promise<void>} - Nothing.
      */
     static async #performTask(argv) {
-        const canProceed = await this.canProceed(argv);
-        if (!canProceed) return;
+        await this.canProceed(argv);
 
         Utils.logStart('Restarting Ghosler...');
-        const result = await PM2Manager.restart(argv.name);
-        result.status ? Utils.logSucceed(result.message) : Utils.logFail(result.message);
+        const result = await ProcessManager.restart(argv.name);
+        Utils.logResult({name: argv.name});
+        if (!result.status) throw new ProcessManagerError(result.message);
+
+        Utils.logSucceed(result.message);
     }
 }
\ No newline at end of file
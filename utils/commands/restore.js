@@ -0,0 +1,224 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Utils from '../utils.js';
+import Backup from './backup.js';
+import extract from 'extract-zip';
+import ProcessManager from '../process/manager.js';
+import BaseCommand from './base/command.js';
+import Archive from '../backup/archive.js';
+import Manifest from '../backup/manifest.js';
+import NotFoundError from '../errors/not-found.js';
+import OperationError from '../errors/operation.js';
+import ProcessManagerError from '../errors/process-manager.js';
+import DestinationResolver from '../backup/destinations/resolver.js';
+
+/**
+ * Class that restores a Ghosler instance from one of its backups.
+ */
+export default class Restore extends BaseCommand {
+
+    static #backupDirectory = DestinationResolver.defaultDirectory;
+    static #tempDirectory = '.temp-restore';
+    static #previousDirectory = '.restore-previous';
+
+    // files & directories that are not part of a backup archive & must survive a restore.
+    static #toKeep = ['.logs', Restore.#backupDirectory, Restore.#tempDirectory, Restore.#previousDirectory];
+
+    static yargsCommand() {
+        return {
+            command: 'restore',
+            description: 'Restore Ghosler instance from a backup.',
+            builder: (yargs) => {
+                return yargs.option('name', {
+                    type: 'string',
+                    description: 'Name of the Ghosler instance to restore.',
+                }).option('backup', {
+                    type: 'string',
+                    description: 'The backup file to restore, either a local path or a file name in the backup destination.',
+                }).option('dest', {
+                    type: 'string',
+                    description: 'Where the backups are stored, a directory or an `s3://bucket/prefix` url. Default: `.backups` in the instance.',
+                }).option('key-file', {
+                    type: 'string',
+                    description: 'A file with the passphrase of an encrypted backup. Default: the `GHOSLER_BACKUP_KEY` variable.',
+                }).option('latest', {
+                    type: 'boolean',
+                    description: 'Restore the latest available backup.',
+                }).conflicts('backup', 'latest');
+            }, handler: async (argv) => await this.#performTask(argv)
+        };
+    }
+
+    /**
+     * Start the restore task.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #performTask(argv) {
+        await this.canProceed(argv);
+
+        Utils.logStart('Looking for the backup...');
+
+        const instance = await this.findProcess(argv.name);
+
+        const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ghosler-restore-'));
+
+        try {
+            await this.#restore(argv, instance, downloadDir);
+        } finally {
+            fs.rmSync(downloadDir, {recursive: true, force: true});
+        }
+    }
+
+    /**
+     * Fetch the backup archive, put its files back & restart the instance.
+     *
+     * @param {Object} argv - `yargs` argument object containing user input.
+     * @param {{name: string, path: string}} instance - The ghosler instance to restore.
+     * @param {string} downloadDir - A temporary directory to fetch a remote backup archive to.
+     * @returns {Promise<void>} - Nothing.
+     * @throws {NotFoundError|OperationError|ProcessManagerError} - If the backup cannot be found, verified or restored.
+     */
+    static async #restore(argv, instance, downloadDir) {
+        let backupFile;
+        try {
+            const destination = DestinationResolver.resolve(instance.path, instance.name, argv.dest);
+            backupFile = await Backup.fetchBackup({...instance, destination}, argv.backup, downloadDir, argv.keyFile);
+        } catch (error) {
+            throw new OperationError(`Unable to fetch the backup, ${error.message}`, {cause: error});
+        }
+
+        if (!backupFile) {
+            throw new NotFoundError(argv.backup
+                ? `Backup file not found: ${argv.backup}`
+                : `No backups found for the instance: ${argv.name}`
+            );
+        }
+
+        Utils.logResult({name: argv.name, backup: path.basename(backupFile)});
+        Utils.logSucceed(`Using backup: ${path.basename(backupFile)}`);
+
+        Utils.logStart('Verifying backup...');
+        const verification = await Manifest.verify(backupFile);
+        if (verification.status === 'invalid') {
+            throw new OperationError(`Backup verification failed, ${verification.message}${verification.errors.map(error => `\n  - ${error}`).join('')}`);
+        }
+
+        verification.status === 'valid' ? Utils.logSucceed(verification.message) : Utils.logWarn(verification.message);
+
+        const unsafeEntries = await Archive.findUnsafeEntries(backupFile).catch((error) => {
+            throw new OperationError(`Unable to check the entries of the backup archive, ${error.message}`, {cause: error});
+        });
+        if (unsafeEntries.length > 0) {
+            throw new OperationError(`Refusing to restore, the archive has entries outside the instance directory: ${unsafeEntries.join(', ')}`);
+        }
+
+        Utils.logStart('Stopping Ghosler...');
+        await ProcessManager.stop(argv.name);
+        Utils.logSucceed('Ghosler stopped.');
+
+        Utils.logStart('Restoring files...');
+        const previousPath = path.join(instance.path, this.#previousDirectory);
+        const status = await this.#restoreFiles(backupFile, instance.path, previousPath);
+        if (status instanceof Error) {
+            Utils.logFail(`Restore failed, ${status.message}`);
+            await this.#rollback(argv.name, instance.path, previousPath);
+            throw new OperationError(`Restore failed, the previous files were put back. ${status.message}`, {cause: status});
+        }
+
+        Utils.logSucceed('Files restored.');
+
+        Utils.logStart('Restarting Ghosler...');
+        const result = await ProcessManager.restart(argv.name, true).catch(error => ({status: false, message: error.message}));
+        if (!result.status) {
+            Utils.logFail(result.message);
+            await this.#rollback(argv.name, instance.path, previousPath);
+            throw new ProcessManagerError(`The restored instance did not start, the previous files were put back. ${result.message}`);
+        }
+
+        fs.rmSync(previousPath, {recursive: true, force: true});
+        Utils.logSucceed(result.message);
+    }
+
+    /**
+     * Put the files set aside by `#restoreFiles` back in place & restart the instance with them.
+     *
+     * @param {string} name - The ghosler instance to roll back.
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @param {string} previousPath - The path where the previous files were set aside.
+     * @returns {Promise<void>} - Nothing.
+     * @throws {OperationError|ProcessManagerError} - If the files cannot be put back or the instance cannot be restarted.
+     */
+    static async #rollback(name, instancePath, previousPath) {
+        Utils.logStart('Putting the previous files back...');
+
+        // nothing was set aside if the restore failed before touching the instance.
+        if (fs.existsSync(previousPath)) {
+            try {
+                for (const entry of fs.readdirSync(instancePath)) {
+                    if (this.#toKeep.includes(entry)) continue;
+                    fs.rmSync(path.join(instancePath, entry), {recursive: true, force: true});
+                }
+
+                for (const entry of fs.readdirSync(previousPath)) {
+                    fs.renameSync(path.join(previousPath, entry), path.join(instancePath, entry));
+                }
+
+                fs.rmSync(previousPath, {recursive: true, force: true});
+            } catch (error) {
+                Utils.logInfo(`The previous files are still available in \`${previousPath}\`.`);
+                throw new OperationError(`Unable to put the previous files back, ${error.message}`, {cause: error});
+            }
+        }
+
+        // the previous files ran with their configuration, the restart is not refused over it.
+        const result = await ProcessManager.restart(name, true, {skipPreflight: true}).catch(error => ({status: false, message: error.message}));
+        if (!result.status) throw new ProcessManagerError(`The previous files were put back but the instance could not be restarted: ${result.message}`);
+
+        Utils.logSucceed('Previous files put back & Ghosler restarted.');
+    }
+
+    /**
+     * Extract the backup archive, replace the current files of the instance with the archived ones.
+     *
+     * The current files are set aside until the restored instance is running, see `#rollback`.
+     *
+     * @param {string} backupFile - The backup archive to restore.
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @param {string} previousPath - The path to set the current files aside in.
+     * @returns {Promise<void|Error>} - Error if something went wrong, void otherwise.
+     */
+    static async #restoreFiles(backupFile, instancePath, previousPath) {
+        const tempDir = path.join(instancePath, this.#tempDirectory);
+
+        try {
+            fs.rmSync(tempDir, {recursive: true, force: true});
+            fs.mkdirSync(tempDir, {recursive: true});
+
+            await extract(backupFile, {dir: tempDir});
+
+            if (fs.readdirSync(tempDir).length === 0) {
+                return new Error('the backup archive is empty.');
+            }
+
+            // set the current files aside, the backups, logs & the extracted archive stay.
+            fs.rmSync(previousPath, {recursive: true, force: true});
+            fs.mkdirSync(previousPath, {recursive: true});
+            for (const entry of fs.readdirSync(instancePath)) {
+                if (this.#toKeep.includes(entry)) continue;
+                fs.renameSync(path.join(instancePath, entry), path.join(previousPath, entry));
+            }
+
+            for (const entry of fs.readdirSync(tempDir)) {
+                if (this.#toKeep.includes(entry) || entry === Manifest.fileName) continue;
+                fs.renameSync(path.join(tempDir, entry), path.join(instancePath, entry));
+            }
+        } catch (error) {
+            return error;
+        } finally {
+            fs.rmSync(tempDir, {recursive: true, force: true});
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,121 @@
+import Utils from '../utils.js';
+import BaseCommand from './base/command.js';
+import NotFoundError from '../errors/not-found.js';
+import ProcessManager from '../process/manager.js';
+
+/**
+ * Class that makes the Ghosler instances start when the server boots.
+ */
+export default class Startup extends BaseCommand {
+
+    static yargsCommand() {
+        return {
+            command: 'startup',
+            description: 'Start the Ghosler instances when the server boots.',
+            builder: (yargs) => {
+                return yargs.command({
+                    command: 'enable',
+                    description: 'Start the instances when the server boots & save the PM2 process list.',
+                    builder: (_) => null,
+                    handler: async (argv) => await this.#enableTask(argv)
+                }).command({
+                    command: 'disable',
+                    description: 'Stop starting the instances when the server boots.',
+                    builder: (_) => null,
+                    handler: async (argv) => await this.#disableTask(argv)
+                }).command({
+                    command: 'status',
+                    description: 'Check whether the instances are started when the server boots.',
+                    builder: (_) => null,
+                    handler: async (argv) => await this.#statusTask(argv)
+                }).demandCommand(1, 'Use `ghosler startup enable`, `ghosler startup disable` or `ghosler startup status`.');
+            }, handler: async (_) => null
+        };
+    }
+
+    /**
+     * Enable the boot persistence, public method created for the Install task.
+     *
+     * @returns {Promise<void>} - Nothing.
+     * @throws {ProcessManagerError} - If a runtime fails, like a `sudo` command that needs a password.
+     */
+    static async enableStartup() {
+        Utils.logStart('Enabling startup on boot...');
+        await ProcessManager.startup();
+
+        await this.#report('Ghosler instances will start when the server boots.');
+    }
+
+    // noinspection JSUnusedLocalSymbols
+    /**
+     * Start the task enabling the boot persistence.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #enableTask(argv) {
+        await this.#checkProcesses();
+        await this.enableStartup();
+    }
+
+    // noinspection JSUnusedLocalSymbols
+    /**
+     * Start the task disabling the boot persistence.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #disableTask(argv) {
+        await this.#checkProcesses();
+
+        Utils.logStart('Disabling startup on boot...');
+        await ProcessManager.unstartup();
+
+        Utils.logResult({startup: await ProcessManager.startupStatus()});
+        Utils.logSucceed('Ghosler instances will no longer start when the server boots.');
+    }
+
+    // noinspection JSUnusedLocalSymbols
+    /**
+     * Start the task printing the boot persistence status.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #statusTask(argv) {
+        await this.#checkProcesses();
+
+        Utils.logStart('Checking startup on boot...');
+        await this.#report('Ghosler instances start when the server boots.');
+    }
+
+    /**
+     * Print the boot persistence status of every runtime that runs an instance.
+     *
+     * @param {string} enabledMessage - The message when all the instances start on boot.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #report(enabledMessage) {
+        const statuses = await ProcessManager.startupStatus();
+        Utils.logResult({startup: statuses});
+
+        for (const status of statuses) {
+            const message = `${ProcessManager.manager(status.runtime).displayName}: ${status.message}`;
+            status.enabled ? Utils.logSucceed(message) : Utils.logWarn(message);
+        }
+
+        if (statuses.every(status => status.enabled)) Utils.logSucceed(enabledMessage);
+        else Utils.logWarn('Some of the Ghosler instances will not start when the server boots.');
+    }
+
+    /**
+     * Check that there is an instance to start on boot.
+     *
+     * @returns {Promise<void>} - Nothing.
+     * @throws {NotFoundError} - If no instance is registered.
+     */
+    static async #checkProcesses() {
+        const processes = await ProcessManager.listProcesses();
+        if (processes.length === 0) throw new NotFoundError('No processes found.');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,161 @@
+import Utils from '../utils.js';
+import Backup from './backup.js';
+import ProcessManager from '../process/manager.js';
+import BaseCommand from './base/command.js';
+import NotFoundError from '../errors/not-found.js';
+import DestinationResolver from '../backup/destinations/resolver.js';
+
+/**
+ * Class that prints the detailed status of the Ghosler instances.
+ */
+export default class Status extends BaseCommand {
+
+    static #headers = ['Name', 'Status', 'Runtime', 'Version', 'Branch', 'Port', 'Uptime', 'Restarts', 'CPU', 'Memory', 'Last Backup (UTC)', 'Update'];
+
+    static yargsCommand() {
+        return {
+            command: 'status',
+            description: 'Print the detailed status of the Ghosler instances.',
+            builder: (yargs) => {
+                return yargs.option('name', {
+                    type: 'string',
+                    description: 'Name of the Ghosler instance to show, all of them by default.',
+                }).option('check-updates', {
+                    type: 'boolean',
+                    default: true,
+                    description: 'Check GitHub for available updates, use `--no-check-updates` to skip it.',
+                });
+            }, handler: async (argv) => await this.#performTask(argv)
+        };
+    }
+
+    /**
+     * Start the task printing the status.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #performTask(argv) {
+        Utils.logStart('Collecting status...');
+
+        let instances = await ProcessManager.listProcesses();
+        if (argv.name) instances = instances.filter(instance => instance.name === argv.name);
+
+        if (instances.length === 0) {
+            throw new NotFoundError(argv.name ? `Unable to find the registered process: ${argv.name}` : 'No Ghosler processes found.');
+        }
+
+        // the latest release & branch commits are shared by the instances, fetch them once.
+        const latest = new Map();
+        const statuses = [];
+        for (const instance of instances) {
+            statuses.push(await this.#instanceStatus(instance, argv.checkUpdates ? latest : null));
+        }
+
+        Utils.logResult({instances: statuses});
+
+        const rows = statuses.map(status => this.#tableRow(status));
+        const logs = statuses.map(status => `  ${status.name}: ${status.logs.out ?? '-'}, ${status.logs.error ?? '-'}`);
+
+        Utils.logSucceed(`Status of the registered instances:\n\n${Utils.formatTable(this.#headers, rows)}\n\nLog files (out, error):\n${logs.join('\n')}`);
+    }
+
+    /**
+     * Collect the status of an instance.
+     *
+     * @param {import('../process/base.js').ProcessInfo} instance - The instance.
+     * @param {Map<string, Promise<string>>|null} latest - The latest release & branch commits, null to skip the update check.
+     * @returns {Promise<Object>} - The status, `null` for the values that do not apply, like the CPU usage of a stopped instance.
+     */
+    static async #instanceStatus(instance, latest) {
+        const isOnline = instance.status === 'online';
+        const config = Utils.ghoslerConfiguration(instance.path)?.ghosler ?? {};
+        const branch = config.branch ?? 'release';
+
+        const version = Utils.currentGhoslerVersion(instance.path);
+        const currentVersion = version.status === 'success' ? version.message : null;
+
+        return {
+            name: instance.name,
+            path: instance.path,
+            status: instance.status,
+            runtime: instance.runtime,
+            version: currentVersion,
+            branch: branch,
+            commit: config.commit ?? null,
+            port: config.port ?? null,
+            uptime: isOnline && instance.startedAt ? Date.now() - instance.startedAt : null,
+            restarts: instance.restarts,
+            cpu: isOnline ? instance.cpu : null,
+            memory: isOnline ? instance.memory : null,
+            logs: instance.logs,
+            lastBackup: await this.#lastBackup(instance),
+            update: latest ? await this.#availableUpdate(branch, currentVersion, config.commit, latest) : null,
+        };
+    }
+
+    /**
+     * Format the status of an instance for the table.
+     *
+     * @param {Object} status - The status of the instance, see `#instanceStatus`.
+     * @returns {string[]} - The values of the table columns.
+     */
+    static #tableRow(status) {
+        const {lastBackup, update} = status;
+
+        return [
+            status.name,
+            status.status,
+            status.runtime,
+            `${status.version ?? '-'}${status.branch !== 'release' && status.commit ? ` (${status.commit.substring(0, 7)})` : ''}`,
+            status.branch,
+            status.port ?? '-',
+            status.uptime !== null ? Utils.formatDuration(status.uptime) : '-',
+            status.restarts,
+            status.cpu !== null ? `${status.cpu}%` : '-',
+            status.memory !== null ? Utils.formatBytes(status.memory) : '-',
+            ['never', 'unknown'].includes(lastBackup) ? lastBackup : lastBackup.substring(0, 16).replace('T', ' '),
+            !update ? '-' : update.available === null ? 'unknown' : update.available ? `yes (${update.latest.substring(0, 7)})` : 'no',
+        ];
+    }
+
+    /**
+     * Find when the last backup of an instance was made.
+     *
+     * @param {import('../process/base.js').ProcessInfo} instance - The instance.
+     * @returns {Promise<string>} - The ISO date of the last backup, `never` if there is none or `unknown` if the destination is not reachable.
+     */
+    static async #lastBackup(instance) {
+        try {
+            const destination = DestinationResolver.resolve(instance.path, instance.name);
+            const [backup] = await Backup.listBackups(destination);
+            return backup ? backup.date.toISOString() : 'never';
+        } catch (error) {
+            return 'unknown';
+        }
+    }
+
+    /**
+     * Check whether an update is available for an instance.
+     *
+     * @param {string} branch - The branch the instance follows.
+     * @param {string|null} currentVersion - The installed version.
+     * @param {string|undefined} currentCommit - The installed commit of a branch install.
+     * @param {Map<string, Promise<string>>} latest - The latest release & branch commits fetched so far.
+     * @returns {Promise<{available: boolean|null, latest: string|null}>} - Whether a newer version or commit is available, `null` if it could not be checked.
+     */
+    static async #availableUpdate(branch, currentVersion, currentCommit, latest) {
+        if (!latest.has(branch)) {
+            latest.set(branch, branch === 'release' ? Utils.latestReleaseVersion().catch(() => 'na') : Utils.latestBranchCommit(branch));
+        }
+
+        const available = await latest.get(branch);
+        if (available === 'na') return {available: null, latest: null};
+
+        // the commit was not recorded by older versions of the CLI.
+        if (branch !== 'release') return {available: currentCommit !== available, latest: available};
+
+        if (!currentVersion) return {available: null, latest: available};
+        return {available: Utils.compareVersions(available, currentVersion) > 0, latest: available};
+    }
+}
\ No newline at end of file
@@ -1,5 +1,5 @@
 import Utils from '../utils.js';
-import PM2Manager from '../pm2/manager.js';
+import ProcessManager from '../process/manager.js';
 import BaseCommand from './base/command.js';
 
 /**
@@ -27,13 +27,13 @@ export default class Stop extends BaseCommand {
      * @returns {Promise<void>} - Nothing.
      */
     static async #performTask(argv) {
-        const canProceed = await this.canProceed(argv);
-        if (!canProceed) return;
+        await this.canProceed(argv);
 
         Utils.logStart('Stopping Ghosler...');
 
         const instanceName = argv.name;
-        await PM2Manager.stop(instanceName);
+        await ProcessManager.stop(instanceName);
+        Utils.logResult({name: instanceName});
 
         Utils.logSucceed(`Ghosler instance (${instanceName}) stopped.\n  Use \`ghosler restart --name ${instanceName}\` to restart. `);
     }
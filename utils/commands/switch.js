@@ -0,0 +1,61 @@
+import Utils from '../utils.js';
+import Update from './update.js';
+import BaseCommand from './base/command.js';
+
+/**
+ * Class that moves a Ghosler instance between the release channel & a branch.
+ */
+export default class Switch extends BaseCommand {
+
+    static yargsCommand() {
+        return {
+            command: 'switch',
+            description: 'Move Ghosler to the latest release or to a branch.',
+            builder: (yargs) => {
+                return yargs.option('name', {
+                    type: 'string',
+                    description: 'Name of the Ghosler instance to switch.',
+                }).option('branch', {
+                    type: 'string',
+                    demandOption: true,
+                    description: 'The branch to switch to, `release` for the latest release.',
+                }).option('yes', {
+                    alias: 'y',
+                    type: 'boolean',
+                    description: 'Switch without asking for a confirmation.',
+                }).option('health-check', {
+                    type: 'boolean',
+                    default: true,
+                    description: 'Check that Ghosler responds after the switch, roll back otherwise.',
+                });
+            },
+            handler: async (argv) => await this.#performTask(argv)
+        };
+    }
+
+    /**
+     * Start the switch task.
+     *
+     * @param argv {Object} - `yargs` argument object containing user input.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #performTask(argv) {
+        await this.canProceed(argv);
+
+        Utils.logStart(`Switching to ${argv.branch === 'release' ? 'the latest release' : `the '${argv.branch}' branch`}...`);
+        const instance = await this.findProcess(argv.name);
+
+        const currentBranch = Utils.ghoslerConfiguration(instance.path)?.ghosler?.branch ?? 'release';
+        if (currentBranch === argv.branch) {
+            Utils.logSucceed(`Ghosler already follows '${argv.branch}', use \`ghosler update\` to update it.`);
+            return;
+        }
+
+        Utils.logResult({previousBranch: currentBranch});
+        Utils.logSucceed(`Switching from '${currentBranch}' to '${argv.branch}'.`);
+        await Update.updateInstance(argv.name, instance.path, argv.branch, undefined, {
+            healthCheck: argv.healthCheck,
+            confirm: !argv.yes,
+        });
+    }
+}
\ No newline at end of file
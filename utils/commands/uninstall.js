@@ -1,7 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import Utils from '../utils.js';
-import PM2Manager from '../pm2/manager.js';
+import ProcessManager from '../process/manager.js';
 import BaseCommand from './base/command.js';
 
 /**
@@ -29,12 +29,12 @@ export default class Uninstall extends BaseCommand {
      * @returns {Promise<void>} - Nothing.
      */
     static async #performTask(argv) {
-        const canProceed = await this.canProceed(argv);
-        if (!canProceed) return;
+        await this.canProceed(argv);
 
         Utils.logStart('Uninstalling Ghosler...');
 
-        const instancePath = await PM2Manager.uninstall(argv.name);
+        const instancePath = await ProcessManager.uninstall(argv.name);
+        Utils.logResult({name: argv.name, path: instancePath ?? null});
         this.#deleteDirectoryContents(instancePath);
 
         Utils.logSucceed('Ghosler uninstalled!');
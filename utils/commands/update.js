@@ -1,15 +1,28 @@
 import fs from 'fs';
 import path from 'path';
+import inquirer from 'inquirer';
 import Utils from '../utils.js';
 import Backup from './backup.js';
-import PM2Manager from '../pm2/manager.js';
+import ProcessManager from '../process/manager.js';
 import BaseCommand from './base/command.js';
+import UsageError from '../errors/usage.js';
+import DownloadError from '../errors/download.js';
+import OperationError from '../errors/operation.js';
+import ConfigValidator from '../config/validator.js';
+import ConfigurationError from '../errors/configuration.js';
 
 /**
  * Class that performs updates.
  */
 export default class Update extends BaseCommand {
 
+    // temporary directories for the new & the previous release.
+    static #updateDirectory = '.update';
+    static #rollbackDirectory = '.rollback';
+
+    // only updated for the `docker` runtime, which builds its image from them.
+    static #dockerFiles = ['Dockerfile', '.dockerignore'];
+
     // files to ignore.
     static #toIgnore = [
         '.logs', 'files', '.backups',
@@ -22,7 +35,7 @@ export default class Update extends BaseCommand {
 
         // post docker
         'configuration', // <<< directory
-        'Dockerfile', '.dockerignore', 'docker-install.sh',
+        ...Update.#dockerFiles, 'docker-install.sh',
     ];
 
     static yargsCommand() {
@@ -33,7 +46,34 @@ export default class Update extends BaseCommand {
                 return yargs.option('name', {
                     type: 'string',
                     description: 'Name of the Ghosler instance to update.',
-                });
+                }).option('to', {
+                    type: 'string',
+                    description: 'Update or downgrade to a specific release version, see `ghosler releases`.',
+                }).option('check', {
+                    type: 'boolean',
+                    description: 'Only report the available version & its release notes.',
+                }).option('dry-run', {
+                    type: 'boolean',
+                    description: 'Only list the files the update would add, replace & remove.',
+                }).option('yes', {
+                    alias: 'y',
+                    type: 'boolean',
+                    description: 'Apply the update without asking for a confirmation.',
+                }).option('from-archive', {
+                    type: 'string',
+                    description: 'Update from a local Ghosler zip archive instead of downloading it.',
+                }).option('from-dir', {
+                    type: 'string',
+                    description: 'Update from a local directory with the Ghosler source instead of downloading it.',
+                }).option('cache', {
+                    type: 'boolean',
+                    default: true,
+                    description: 'Reuse the downloaded archives shared by the instances, `--no-cache` to always download.',
+                }).option('health-check', {
+                    type: 'boolean',
+                    default: true,
+                    description: 'Check that Ghosler responds within a minute after the update, roll back otherwise.',
+                }).conflicts('from-archive', ['from-dir', 'to', 'check']).conflicts('from-dir', ['to', 'check']);
             },
             handler: async (argv) => await this.#performTask(argv)
         };
@@ -46,80 +86,374 @@ export default class Update extends BaseCommand {
      * @returns {Promise<void>} - Nothing.
      */
     static async #performTask(argv) {
-        const canProceed = await this.canProceed(argv);
-        if (!canProceed) return;
+        await this.canProceed(argv);
 
         Utils.logStart('Checking for the latest version...');
-        const instance = await PM2Manager.getProcess(argv.name);
-        if (!instance) {
-            Utils.logFail(`Unable to find the registered process: ${argv.name}`);
+        const instance = await this.findProcess(argv.name);
+
+        // instances follow the branch they were installed from.
+        const branch = Utils.ghoslerConfiguration(instance.path)?.ghosler?.branch ?? 'release';
+
+        // local sources are staged by hand, there is nothing to compare them with.
+        if (argv.fromArchive || argv.fromDir) {
+            Utils.logSucceed(`Updating from the local ${argv.fromArchive ? 'archive' : 'directory'}: ${argv.fromArchive ?? argv.fromDir}`);
+            await this.#update(argv.name, instance.path, branch, undefined, {
+                healthCheck: argv.healthCheck,
+                dryRun: argv.dryRun,
+                confirm: !argv.yes,
+                source: {archive: argv.fromArchive, directory: argv.fromDir},
+            });
+            return;
+        }
+
+        if (branch !== 'release' && argv.to) {
+            throw new UsageError(`\`--to\` only works with release installs, this instance follows the '${branch}' branch. Use \`ghosler switch --branch release\` first.`);
+        }
+
+        let latest;
+        if (branch !== 'release') latest = await this.#checkCommit(instance.path, branch);
+        else if (argv.to) latest = this.#checkTargetVersion(instance.path, argv.to);
+        else latest = await this.#checkVersion(instance.path);
+
+        if (latest.status === 'error') {
+            // only the branch commit is checked online, the version checks fail on the installed files.
+            throw branch !== 'release' ? new DownloadError(latest.message) : new OperationError(latest.message);
+        } else if (!latest.update) {
+            Utils.logResult({name: argv.name, branch, outcome: 'up-to-date'});
+            Utils.logSucceed(latest.message);
             return;
         }
 
-        const latestVersion = await this.#checkVersion(instance.path);
+        const version = branch === 'release' ? latest.message : undefined;
+        Utils.logResult(version ? {targetVersion: version} : {targetCommit: latest.message});
+        if (version) Utils.logSucceed(`${argv.to ? 'Target' : 'Latest'} version: ${version}`);
+        else Utils.logSucceed(`Latest commit on '${branch}': ${latest.message.substring(0, 7)}`);
 
-        if (latestVersion.status === 'error') {
-            Utils.logFail(latestVersion.message);
-        } else if (!latestVersion.update) {
-            Utils.logSucceed(latestVersion.message);
-        } else if (latestVersion.update) {
-            Utils.logSucceed(`Latest version: ${latestVersion.message}`);
-            await this.#update(argv.name, instance.path);
+        if (argv.check) {
+            Utils.logResult({name: argv.name, branch, outcome: 'update-available'});
+            if (version) await this.#printReleaseNotes(version);
+            return;
         }
+
+        await this.#update(argv.name, instance.path, branch, version, {
+            healthCheck: argv.healthCheck,
+            dryRun: argv.dryRun,
+            confirm: !argv.yes,
+            cache: argv.cache,
+        });
+    }
+
+    /**
+     * Move the Ghosler instance to a branch or a release, public method created for the Switch task.
+     *
+     * @param {string} name - The ghosler instance to update.
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @param {string} branch - The branch to move to, `release` for the release channel.
+     * @param {string|undefined} version - The release version to move to, only used with `release`.
+     * @param {{healthCheck?: boolean, dryRun?: boolean, confirm?: boolean}} options - See `#update`.
+     * @returns {Promise<void>} - Nothing.
+     * @throws {ConfigurationError|DownloadError|OperationError} - See `#update`.
+     */
+    static async updateInstance(name, instancePath, branch, version = undefined, options = {}) {
+        await this.#update(name, instancePath, branch, version, options);
     }
 
     /**
      * Backup and then update the Ghosler instance.
      *
+     * The previous files are kept aside until the updated instance is online & healthy,
+     * otherwise they are put back & the instance is restarted on the previous release.
+     *
      * @param {string} name - The ghosler instance to update.
      * @param {string} instancePath - The path of the ghosler instance.
+     * @param {string} branch - The branch to update from, `release` for the release channel.
+     * @param {string|undefined} version - The release version to update to, the latest if not provided.
+     * @param {{healthCheck?: boolean, dryRun?: boolean, confirm?: boolean, cache?: boolean, source?: {archive?: string, directory?: string}}} options -
+     * Whether to check the instance over HTTP after the restart, to only print the file changes, to ask for a confirmation
+     * in a terminal before modifying anything, to use the download cache & a local archive or directory to update from instead of downloading.
      * @returns {Promise<void>} - Nothing.
+     * @throws {ConfigurationError|DownloadError|OperationError} - If the configuration is invalid, the new files cannot be prepared, or the update failed & was rolled back.
      */
-    static async #update(name, instancePath) {
-        await Backup.backupInstance(name, instancePath);
+    static async #update(name, instancePath, branch, version, options = {}) {
+        const {healthCheck = true, dryRun = false, confirm = false, cache = true, source = {}} = options;
+        Utils.logResult({name, branch});
 
-        // clone ghosler, extract.
-        Utils.logStart('Cloning...');
+        // the JSON output is for scripts, they confirm like any other non-interactive run.
+        const isInteractive = confirm && process.stdin.isTTY && !Utils.isJsonOutput;
 
-        const cloneOp = await Utils.cloneGhosler();
-        if (cloneOp.success) Utils.logSucceed(cloneOp.message);
-        else {
-            Utils.logFail(`Failed to clone the repository, ${cloneOp.message}`);
-            return;
+        // the restart refuses a broken configuration, checked before any file is changed.
+        if (!dryRun) {
+            const preflight = ConfigValidator.preflight(instancePath);
+            if (!preflight.success) throw new ConfigurationError(preflight.message);
+        }
+
+        const updatePath = path.join(instancePath, this.#updateDirectory);
+        let cloneOp;
+        try {
+            cloneOp = await this.#prepareFiles(branch, version, updatePath, source, cache);
+        } catch (error) {
+            fs.rmSync(updatePath, {recursive: true, force: true});
+            throw error;
         }
 
-        // Setting up directories
-        const updatePath = path.join(instancePath, '.update');
-        const extraction = await Utils.extractGhosler(updatePath);
-        if (!extraction.success) {
-            Utils.logFail(`Failed to setup the directory, ${extraction.message}`);
+        const changes = this.#diffFiles(instancePath, updatePath);
+        Utils.logResult({changes});
+        if (dryRun || isInteractive) this.#printChanges(changes);
+
+        if (dryRun) {
             fs.rmSync(updatePath, {recursive: true, force: true});
+            Utils.logResult({outcome: 'dry-run'});
+            Utils.logSucceed('Dry run complete, nothing was changed.');
             return;
         }
 
-        Utils.logSucceed(extraction.message);
+        if (isInteractive) {
+            if (version) await this.#printReleaseNotes(version);
+
+            const answer = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'proceed',
+                message: 'Apply these changes?',
+                default: false
+            }]);
+
+            if (!answer.proceed) {
+                fs.rmSync(updatePath, {recursive: true, force: true});
+                Utils.logResult({outcome: 'cancelled'});
+                Utils.logWarn('Update cancelled, nothing was changed.');
+                return;
+            }
+        }
+
+        // taken once the update is confirmed, the staged files are not part of it.
+        // a failed backup is not a reason to stay on the current version.
+        await Backup.backupInstance(name, instancePath).catch(error => Utils.logWarn(error.message));
+
+        const previousVersion = Utils.currentGhoslerVersion(instancePath).message;
+        const {branch: previousBranch, commit: previousCommit} = Utils.ghoslerConfiguration(instancePath)?.ghosler ?? {};
+        const rollbackPath = path.join(instancePath, this.#rollbackDirectory);
 
-        Utils.logStart('Removing previous files...');
-        this.#deleteUnwantedFiles(this.#toIgnore, instancePath);
-        Utils.logSucceed('Previous files removed.');
+        Utils.logStart('Setting previous files aside...');
+        this.#setAsideFiles(this.#ignoredFiles(instancePath), instancePath, rollbackPath);
+        Utils.logSucceed('Previous files set aside.');
 
         Utils.logStart('Moving upload files...');
-        this.#moveFolderSync(updatePath, instancePath, this.#toIgnore);
+        this.#moveFolderSync(updatePath, instancePath, this.#ignoredFiles(instancePath));
         Utils.logSucceed('Files moved.');
 
         fs.rmSync(updatePath, {recursive: true, force: true});
 
         Utils.logStart('Updating Ghosler configuration file...');
-        await Utils.updateConfigurations('release', name, instancePath, false);
+        await Utils.updateConfigurations(branch, name, instancePath, false);
+        await Utils.updateGhoslerValues(instancePath, {commit: cloneOp.commit});
 
         Utils.logStart('Restarting Ghosler...');
-        const result = await PM2Manager.restart(name, true);
+        const result = await ProcessManager.restart(name, true).catch(error => ({status: false, message: error.message}));
 
-        if (result.status) Utils.logSucceed(result.message);
-        else {
-            Utils.logFail(result.message);
-            console.log(`Restore your latest backup if something went wrong & execute \`ghosler restart --name ${name}\`.`);
+        let failure = result.status ? null : result.message;
+        if (!failure && healthCheck) {
+            Utils.logStart('Checking the health of Ghosler...');
+            const health = await Utils.checkInstanceHealth(instancePath);
+            if (!health.success) failure = `Health check failed, ${health.message}`;
         }
+
+        if (!failure) {
+            fs.rmSync(rollbackPath, {recursive: true, force: true});
+            Utils.logResult({outcome: 'updated', previousVersion, version: Utils.currentGhoslerVersion(instancePath).message});
+            Utils.logSucceed(result.message);
+            return;
+        }
+
+        Utils.logFail(failure);
+        Utils.logResult({outcome: 'rolled-back', previousVersion});
+        await this.#rollback(name, instancePath, rollbackPath, previousVersion, {branch: previousBranch, commit: previousCommit});
+    }
+
+    /**
+     * Download & extract the new release, or copy it from a local archive or directory.
+     *
+     * @param {string} branch - The branch to update from, `release` for the release channel.
+     * @param {string|undefined} version - The release version to update to, the latest if not provided.
+     * @param {string} updatePath - The path to put the new files in.
+     * @param {{archive?: string, directory?: string}} source - A local archive or directory to use instead of downloading.
+     * @param {boolean} useCache - Whether to use the download cache.
+     * @returns {Promise<{commit: string|undefined}>} - Where the files came from.
+     * @throws {DownloadError|OperationError} - If the files cannot be downloaded, copied or extracted.
+     */
+    static async #prepareFiles(branch, version, updatePath, source, useCache) {
+        if (source.directory) {
+            Utils.logStart('Copying files...');
+            const copy = await Utils.copyGhosler(path.resolve(source.directory), updatePath, true);
+            if (!copy.success) throw new OperationError(`Failed to setup the directory, ${copy.message}`);
+
+            Utils.logSucceed(`${copy.message} Version: ${Utils.currentGhoslerVersion(updatePath).message}`);
+            return {commit: undefined};
+        }
+
+        // clone ghosler, extract.
+        Utils.logStart(source.archive ? 'Using local archive...' : 'Cloning...');
+
+        const cloneOp = source.archive
+            ? await Utils.stageGhoslerArchive(path.resolve(source.archive))
+            : await Utils.cloneGhosler(branch, version, useCache);
+
+        if (!cloneOp.success) {
+            const message = `Failed to ${source.archive ? 'use the archive' : 'clone the repository'}, ${cloneOp.message}`;
+            throw source.archive ? new OperationError(message) : new DownloadError(message);
+        }
+
+        Utils.logSucceed(cloneOp.message);
+
+        // Setting up directories, the docker files are left out by `#ignoredFiles` for the other runtimes.
+        const extraction = await Utils.extractGhosler(updatePath, true);
+        if (!extraction.success) throw new OperationError(`Failed to setup the directory, ${extraction.message}`);
+
+        Utils.logSucceed(source.archive
+            ? `${extraction.message} Version: ${Utils.currentGhoslerVersion(updatePath).message}`
+            : extraction.message
+        );
+
+        return cloneOp;
+    }
+
+    /**
+     * Put the previous files back in place & restart the instance with them.
+     *
+     * @param {string} name - The ghosler instance to roll back.
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @param {string} rollbackPath - The path where the previous files were set aside.
+     * @param {string} previousVersion - The version of the previous release, for logging.
+     * @param {{branch: string|undefined, commit: string|undefined}} previousSource - Where the previous files came from.
+     * @returns {Promise<void>} - Nothing.
+     * @throws {OperationError} - Always, the update failed whether the rollback succeeded or not.
+     */
+    static async #rollback(name, instancePath, rollbackPath, previousVersion, previousSource) {
+        Utils.logStart(`Rolling back to the previous version (${previousVersion})...`);
+
+        try {
+            this.#deleteUnwantedFiles(this.#ignoredFiles(instancePath), instancePath);
+            this.#moveFolderSync(rollbackPath, instancePath);
+            fs.rmSync(rollbackPath, {recursive: true, force: true});
+            await Utils.updateGhoslerValues(instancePath, previousSource);
+        } catch (error) {
+            Utils.logResult({outcome: 'rollback-failed'});
+            Utils.logInfo(`The previous files are still available in \`${rollbackPath}\`, restore your latest backup via \`ghosler restore --name ${name} --latest\`.`);
+            throw new OperationError(`Rollback failed, ${error.message}`, {cause: error});
+        }
+
+        // the previous files ran with this configuration, the restart is not refused over it.
+        const result = await ProcessManager.restart(name, true, {skipPreflight: true}).catch(error => ({status: false, message: error.message}));
+        if (result.status) throw new OperationError(`Update failed, rolled back to the previous version (${previousVersion}).`);
+
+        Utils.logResult({outcome: 'rollback-failed'});
+        Utils.logInfo(`Restore your latest backup via \`ghosler restore --name ${name} --latest\`.`);
+        throw new OperationError(`Rolled back to the previous version (${previousVersion}) but it could not be restarted: ${result.message}`);
+    }
+
+    /**
+     * Print the release notes of a Ghosler release.
+     *
+     * @param {string} version - The release version.
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #printReleaseNotes(version) {
+        const notes = await Utils.releaseNotes(version);
+        Utils.logResult({releaseNotes: notes});
+        Utils.logInfo(notes ? `\nRelease notes (${version}):\n\n${notes.trim()}\n` : `\nNo release notes found for ${version}.\n`);
+    }
+
+    /**
+     * Print the files an update adds, replaces & removes.
+     *
+     * @param {{added: string[], replaced: string[], removed: string[]}} changes - The changes of the update.
+     */
+    static #printChanges(changes) {
+        const sections = [
+            ['Files to add', '+', changes.added],
+            ['Files to replace', '~', changes.replaced],
+            ['Files to remove', '-', changes.removed],
+        ];
+
+        const lines = sections.flatMap(([title, symbol, files]) => [
+            `\n${title} (${files.length}):`,
+            ...files.map(file => `  ${symbol} ${file}`),
+        ]);
+
+        Utils.logInfo(`${lines.join('\n')}\n\nPreserved: configuration, files, logs & backups. Dependencies are re-installed.\n`);
+    }
+
+    /**
+     * The files an update leaves as they are, the docker files are updated for the `docker` runtime only.
+     *
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @returns {string[]} - The names of the files & directories at the root of the instance.
+     */
+    static #ignoredFiles(instancePath) {
+        const isDocker = Utils.ghoslerConfiguration(instancePath)?.ghosler?.runtime === 'docker';
+        return isDocker ? this.#toIgnore.filter(file => !this.#dockerFiles.includes(file)) : this.#toIgnore;
+    }
+
+    /**
+     * Compare the current files of the app with the ones of the new release.
+     *
+     * Mirrors what `#setAsideFiles` & `#moveFolderSync` do, without touching anything.
+     *
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @param {string} updatePath - The path where the new release was extracted.
+     * @returns {{added: string[], replaced: string[], removed: string[]}} - The relative paths of the changed files.
+     */
+    static #diffFiles(instancePath, updatePath) {
+        const ignoredFiles = this.#ignoredFiles(instancePath);
+
+        // `node_modules` is re-installed anyway, listing it is just noise.
+        const currentFiles = this.#listFiles(instancePath, (name, isRoot) =>
+            isRoot && (ignoredFiles.includes(name) || this.#isWorkingDirectory(name) || name === 'node_modules')
+        );
+        const newFiles = this.#listFiles(updatePath, (name) => ignoredFiles.includes(name));
+
+        const current = new Set(currentFiles);
+        const added = newFiles.filter(file => !current.has(file));
+        const replaced = newFiles.filter(file => current.has(file) && !this.#sameContent(
+            path.join(instancePath, file), path.join(updatePath, file)
+        ));
+
+        const incoming = new Set(newFiles);
+        const removed = currentFiles.filter(file => !incoming.has(file));
+
+        return {added, replaced, removed};
+    }
+
+    /**
+     * List the files of a directory recursively.
+     *
+     * @param {string} directory - The directory to list.
+     * @param {(name: string, isRoot: boolean) => boolean} exclude - Whether to skip a file or a directory.
+     * @param {string} prefix - The path of the directory relative to the root, for the recursion.
+     * @returns {string[]} - The file paths relative to the root.
+     */
+    static #listFiles(directory, exclude, prefix = '') {
+        const files = [];
+        for (const entry of fs.readdirSync(directory, {withFileTypes: true})) {
+            if (exclude(entry.name, !prefix)) continue;
+
+            const relativePath = prefix ? path.join(prefix, entry.name) : entry.name;
+            if (entry.isDirectory()) files.push(...this.#listFiles(path.join(directory, entry.name), exclude, relativePath));
+            else files.push(relativePath);
+        }
+
+        return files;
+    }
+
+    /**
+     * Check whether two files have the same content.
+     *
+     * @param {string} first - The path of the first file.
+     * @param {string} second - The path of the second file.
+     * @returns {boolean} - `true` if the contents are identical, `false` otherwise.
+     */
+    static #sameContent(first, second) {
+        if (fs.statSync(first).size !== fs.statSync(second).size) return false;
+        return fs.readFileSync(first).equals(fs.readFileSync(second));
     }
 
     /**
@@ -129,12 +463,10 @@ export default class Update extends BaseCommand {
      * @param {string} instancePath - The path of the ghosler instance.
      */
     static #deleteUnwantedFiles(toIgnore, instancePath) {
-        const tempDirName = '.update';
-
         let entries = fs.readdirSync(instancePath, {withFileTypes: true});
         for (let entry of entries) {
-            // Ignore files/directories in the toIgnore list or the temp directory
-            if (toIgnore.includes(entry.name) || entry.name === tempDirName) continue;
+            // Ignore files/directories in the toIgnore list or the working directories
+            if (toIgnore.includes(entry.name) || this.#isWorkingDirectory(entry.name)) continue;
 
             let currentPath = path.join(instancePath, entry.name);
             if (entry.isDirectory()) {
@@ -145,6 +477,35 @@ export default class Update extends BaseCommand {
         }
     }
 
+    /**
+     * Move previous files of the app aside so that they can be restored on a failed update.
+     *
+     * @param {string[]} toIgnore - Files to ignore.
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @param {string} rollbackPath - The path to move the previous files to.
+     */
+    static #setAsideFiles(toIgnore, instancePath, rollbackPath) {
+        // a leftover from an interrupted update.
+        fs.rmSync(rollbackPath, {recursive: true, force: true});
+        fs.mkdirSync(rollbackPath, {recursive: true});
+
+        let entries = fs.readdirSync(instancePath, {withFileTypes: true});
+        for (let entry of entries) {
+            if (toIgnore.includes(entry.name) || this.#isWorkingDirectory(entry.name)) continue;
+            fs.renameSync(path.join(instancePath, entry.name), path.join(rollbackPath, entry.name));
+        }
+    }
+
+    /**
+     * Check whether the given entry is one of the directories used while updating.
+     *
+     * @param {string} name - The file or directory name.
+     * @returns {boolean} - `true` if the entry is a working directory of the update, `false` otherwise.
+     */
+    static #isWorkingDirectory(name) {
+        return name === this.#updateDirectory || name === this.#rollbackDirectory;
+    }
+
     /**
      * Move the files from source to destination while excluding some dirs or files.
      *
@@ -169,6 +530,42 @@ export default class Update extends BaseCommand {
         }
     }
 
+    /**
+     * Check if the instance can be moved to a specific release version.
+     *
+     * @param {string} instancePath - The path of the ghosler instance to check for version.
+     * @param {string} targetVersion - The release version to update or downgrade to.
+     * @returns {{update: boolean, message: string}|{message: string, status: string}}
+     */
+    static #checkTargetVersion(instancePath, targetVersion) {
+        const currentVersion = Utils.currentGhoslerVersion(instancePath);
+        if (currentVersion.status !== 'success') return currentVersion;
+
+        return Utils.compareVersions(currentVersion.message, targetVersion) === 0
+            ? {update: false, message: `Ghosler is already on version ${targetVersion}`}
+            : {update: true, message: targetVersion};
+    }
+
+    /**
+     * Check if there is a newer commit available on the branch the instance follows.
+     *
+     * @param {string} instancePath - The path of the ghosler instance to check for the commit.
+     * @param {string} branch - The branch the instance follows.
+     * @returns {Promise<{update: boolean, message: string}|{message: string, status: string}>}
+     */
+    static async #checkCommit(instancePath, branch) {
+        const latestCommit = await Utils.latestBranchCommit(branch);
+        if (latestCommit === 'na') {
+            return {status: 'error', message: `Unable to check for the latest commit on '${branch}'!`};
+        }
+
+        // the commit was not recorded by older versions of the CLI, update to be sure.
+        const currentCommit = Utils.ghoslerConfiguration(instancePath)?.ghosler?.commit;
+        return currentCommit === latestCommit
+            ? {update: false, message: `Ghosler is already on the latest commit of '${branch}'`}
+            : {update: true, message: latestCommit};
+    }
+
     /**
      * Check if there is an update available.
      *
@@ -179,7 +576,7 @@ export default class Update extends BaseCommand {
         const latestVersion = await Utils.latestReleaseVersion();
         const currentVersion = Utils.currentGhoslerVersion(instancePath);
         if (currentVersion.status === 'success') {
-            if (latestVersion !== 'na' && latestVersion > currentVersion.message) {
+            if (latestVersion !== 'na' && Utils.compareVersions(latestVersion, currentVersion.message) > 0) {
                 return {
                     update: true,
                     message: latestVersion
@@ -0,0 +1,329 @@
+import fs from 'fs';
+import Utils from '../utils.js';
+
+/**
+ * A class that checks the configuration of a Ghosler instance against the keys Ghosler knows about.
+ *
+ * Only the keys the CLI itself relies on, like `ghosler.port`, are enforced & their problems are errors.
+ * Ghosler decides on the rest of its configuration, so the problems there are warnings: values that are
+ * not configured yet, like the empty ones of a new install, values that look wrong & unknown keys.
+ */
+export default class ConfigValidator {
+
+    /**
+     * The known keys of `config.production.json`.
+     *
+     * Each key has a `type` (`object`, `array`, `string`, `integer`, `boolean`) & optionally:
+     * `required` - the key must exist, an empty string means it is not configured yet,
+     * `format` - `url`, `email` or `ghostAdminKey` for strings, checked when not empty,
+     * `min` / `max` - the bounds of integers, `minItems` - the minimum length of arrays, shorter ones are not configured yet,
+     * `properties` - the keys of an object, `items` - the schema of the array items,
+     * `additionalProperties` - whether an object may have keys that are not listed,
+     * `enforced` - the CLI relies on the key, its problems are errors instead of warnings.
+     */
+    static schema = {
+        type: 'object',
+        enforced: true,
+        properties: {
+            ghosler: {
+                type: 'object',
+                required: true,
+                enforced: true,
+                properties: {
+                    url: {type: 'string', format: 'url', required: true},
+                    port: {type: 'integer', min: 1, max: 65535, enforced: true},
+                    auth: {
+                        type: 'object',
+                        properties: {
+                            user: {type: 'string', required: true},
+                            pass: {type: 'string', required: true},
+                        },
+                    },
+
+                    // managed by the CLI.
+                    branch: {type: 'string', enforced: true},
+                    instance: {type: 'string', enforced: true},
+                    commit: {type: 'string', enforced: true},
+                    runtime: {type: 'string', enforced: true},
+                    image: {type: 'string', enforced: true},
+                    backup: {type: 'object', additionalProperties: true, enforced: true},
+                },
+            },
+            ghost: {
+                type: 'object',
+                required: true,
+                properties: {
+                    url: {type: 'string', format: 'url', required: true},
+                    key: {type: 'string', format: 'ghostAdminKey', required: true},
+                    secret: {type: 'string'},
+                },
+            },
+            newsletter: {type: 'object', additionalProperties: true},
+            custom_template: {type: 'object', additionalProperties: true},
+            mail: {
+                type: 'array',
+                required: true,
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    properties: {
+                        email: {type: 'string', format: 'email', required: true},
+                        host: {type: 'string', required: true},
+                        port: {type: 'integer', min: 1, max: 65535, required: true},
+                        secure: {type: 'boolean'},
+                        auth: {
+                            type: 'object',
+                            required: true,
+                            properties: {
+                                user: {type: 'string', required: true},
+                                pass: {type: 'string', required: true},
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    };
+
+    // keys whose values are never printed, like `ghost.key` or `mail.0.auth.pass`.
+    static secretKeyPattern = /pass|secret|key|token/i;
+
+    static #ghostAdminKeyPattern = /^[0-9a-f]{24}:[0-9a-f]{64}$/i;
+
+    /**
+     * Validate the configuration file of an instance.
+     *
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @returns {{success: boolean, message: string, path: string|null, errors: {path: string, message: string}[], warnings: {path: string, message: string}[]}} - The result of the validation.
+     */
+    static validateInstance(instancePath) {
+        const configPath = Utils.ghoslerConfigurationPath(instancePath);
+        if (!configPath) {
+            return {success: false, message: 'No configuration file found.', path: null, errors: [], warnings: []};
+        }
+
+        let content;
+        try {
+            content = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (error) {
+            return {success: false, message: `The configuration is not valid JSON, ${error.message}`, path: configPath, errors: [], warnings: []};
+        }
+
+        const {errors, warnings} = this.validate(content);
+        return {
+            success: errors.length === 0,
+            message: errors.length === 0
+                ? `The configuration is valid${warnings.length ? ` with ${warnings.length} warning(s)` : ''}.`
+                : `The configuration has ${errors.length} error(s).`,
+            path: configPath,
+            errors,
+            warnings,
+        };
+    }
+
+    /**
+     * Check the configuration of an instance before it is started, errors are listed in the message.
+     *
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @returns {{success: boolean, message: string}} - The result of the check.
+     */
+    static preflight(instancePath) {
+        const result = this.validateInstance(instancePath);
+        if (result.success) return {success: true, message: result.message};
+
+        return {
+            success: false,
+            message: `${result.message}${this.formatIssues(result.errors)}\nFix it with \`ghosler config set\` & check it with \`ghosler config validate\`.`
+        };
+    }
+
+    /**
+     * Validate a configuration.
+     *
+     * @param {Object} content - The parsed configuration.
+     * @returns {{errors: {path: string, message: string}[], warnings: {path: string, message: string}[]}} - The problems found.
+     */
+    static validate(content) {
+        const result = {errors: [], warnings: []};
+        this.#validateValue(content, this.schema, '', result);
+        return result;
+    }
+
+    /**
+     * Format problems as a list, one per line.
+     *
+     * @param {{path: string, message: string}[]} issues - The problems.
+     * @returns {string} - The lines, each starting with a new line.
+     */
+    static formatIssues(issues) {
+        return issues.map(issue => `\n  - ${issue.path}: ${issue.message}`).join('');
+    }
+
+    /**
+     * Validate a value & its children against their schema.
+     *
+     * @param {*} value - The value.
+     * @param {Object} schema - The schema of the value.
+     * @param {string} keyPath - The dot path of the value.
+     * @param {{errors: Object[], warnings: Object[]}} result - The problems found so far.
+     */
+    static #validateValue(value, schema, keyPath, result) {
+        const label = keyPath || '(root)';
+        const isSecret = this.secretKeyPattern.test(keyPath.split('.').pop());
+
+        const issues = this.#issues(schema, result);
+
+        if (!this.#hasType(value, schema.type)) {
+            const found = isSecret ? '' : `, found ${this.#describeValue(value)}`;
+            issues.push({path: label, message: `must be ${this.#describeType(schema.type)}${found}.`});
+            return;
+        }
+
+        switch (schema.type) {
+            case 'object':
+                this.#validateObject(value, schema, keyPath, result);
+                break;
+            case 'array':
+                if (schema.minItems && value.length < schema.minItems) {
+                    result.warnings.push({path: label, message: `is not configured yet, must have at least ${schema.minItems} item(s).`});
+                }
+
+                value.forEach((item, index) => this.#validateValue(item, schema.items, `${keyPath}.${index}`, result));
+                break;
+            case 'string':
+                if (value.trim() === '') {
+                    if (schema.required) result.warnings.push({path: label, message: 'is not configured yet.'});
+                } else if (schema.format && !this.#hasFormat(value, schema.format)) {
+                    const found = isSecret ? '' : `, found "${value}"`;
+                    issues.push({path: label, message: `must be ${this.#describeFormat(schema.format)}${found}.`});
+                }
+                break;
+            case 'integer':
+                if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+                    issues.push({path: label, message: `must be between ${schema.min} and ${schema.max}, found ${value}.`});
+                }
+                break;
+        }
+    }
+
+    /**
+     * Validate the keys of an object against their schema.
+     *
+     * @param {Object} value - The object.
+     * @param {Object} schema - The schema of the object.
+     * @param {string} keyPath - The dot path of the object.
+     * @param {{errors: Object[], warnings: Object[]}} result - The problems found so far.
+     */
+    static #validateObject(value, schema, keyPath, result) {
+        const properties = schema.properties ?? {};
+
+        for (const [key, childSchema] of Object.entries(properties)) {
+            const childPath = keyPath ? `${keyPath}.${key}` : key;
+            if (!Object.hasOwn(value, key)) {
+                if (childSchema.required) this.#issues(childSchema, result).push({path: childPath, message: 'is required.'});
+                continue;
+            }
+
+            this.#validateValue(value[key], childSchema, childPath, result);
+        }
+
+        if (schema.additionalProperties) return;
+
+        for (const key of Object.keys(value)) {
+            if (Object.hasOwn(properties, key)) continue;
+            result.warnings.push({path: keyPath ? `${keyPath}.${key}` : key, message: 'is not a known key, check it for a typo.'});
+        }
+    }
+
+    /**
+     * The list the problems of a key go in, errors for the keys the CLI relies on & warnings otherwise.
+     *
+     * @param {Object} schema - The schema of the key.
+     * @param {{errors: Object[], warnings: Object[]}} result - The problems found so far.
+     * @returns {Object[]} - The errors or the warnings.
+     */
+    static #issues(schema, result) {
+        return schema.enforced ? result.errors : result.warnings;
+    }
+
+    /**
+     * Check the type of a value.
+     *
+     * @param {*} value - The value.
+     * @param {string} type - The expected type.
+     * @returns {boolean} - `true` if the value has the type, `false` otherwise.
+     */
+    static #hasType(value, type) {
+        switch (type) {
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'integer':
+                return Number.isInteger(value);
+            default:
+                return typeof value === type;
+        }
+    }
+
+    /**
+     * Check the format of a string.
+     *
+     * @param {string} value - The string.
+     * @param {string} format - The expected format.
+     * @returns {boolean} - `true` if the string has the format, `false` otherwise.
+     */
+    static #hasFormat(value, format) {
+        switch (format) {
+            case 'url':
+                try {
+                    return ['http:', 'https:'].includes(new URL(value).protocol);
+                } catch (error) {
+                    return false;
+                }
+            case 'email':
+                // `Name <email>` is accepted as well.
+                return /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(value.match(/<([^>]+)>\s*$/)?.[1] ?? value);
+            case 'ghostAdminKey':
+                return this.#ghostAdminKeyPattern.test(value);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Describe a type for the messages.
+     *
+     * @param {string} type - The type.
+     * @returns {string} - The description.
+     */
+    static #describeType(type) {
+        return {object: 'an object', array: 'a list', integer: 'a whole number', boolean: 'true or false'}[type] ?? `a ${type}`;
+    }
+
+    /**
+     * Describe a format for the messages.
+     *
+     * @param {string} format - The format.
+     * @returns {string} - The description.
+     */
+    static #describeFormat(format) {
+        return {
+            url: 'an http(s) url',
+            email: 'an email address',
+            ghostAdminKey: 'a Ghost Admin API key (`id:secret`)'
+        }[format] ?? format;
+    }
+
+    /**
+     * Describe a value for the messages.
+     *
+     * @param {*} value - The value.
+     * @returns {string} - The description.
+     */
+    static #describeValue(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'a list';
+        return typeof value === 'object' ? 'an object' : `${typeof value} ${JSON.stringify(value)}`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,194 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import DownloadSource from './source.js';
+import DownloadVerification from './verification.js';
+
+/**
+ * A per-user cache of the downloaded Ghosler archives, shared by all the instances of the user.
+ *
+ * Archives are stored per repository as `<cache>/<owner>/<name>/<key>.zip`, the key being the release version
+ * or the branch & its commit. Each archive has a `<key>.zip.json` file next to it with its checksum, which is
+ * compared again every time the archive is reused.
+ */
+export default class DownloadCache {
+
+    static environmentVariable = 'GHOSLER_CACHE_DIR';
+
+    static #metadataExtension = '.json';
+
+    /**
+     * The root directory of the cache.
+     *
+     * @returns {string} - `~/.ghosler-cli/cache` unless `GHOSLER_CACHE_DIR` is set.
+     */
+    static get directory() {
+        return process.env[this.environmentVariable] || path.join(os.homedir(), '.ghosler-cli', 'cache');
+    }
+
+    /**
+     * The cache key of a release.
+     *
+     * @param {string} version - The release version.
+     * @returns {string} - The key.
+     */
+    static releaseKey(version) {
+        return this.#sanitize(version);
+    }
+
+    /**
+     * The cache key of a branch at a given commit, branches move so the commit is part of the key.
+     *
+     * @param {string} branch - The branch name.
+     * @param {string} commit - The commit sha.
+     * @returns {string} - The key.
+     */
+    static branchKey(branch, commit) {
+        return `${this.#sanitize(branch)}@${commit}`;
+    }
+
+    /**
+     * Read a cached archive of the current download source, removing it if it does not match its checksum anymore.
+     *
+     * @param {string} key - The cache key.
+     * @returns {Buffer|null} - The archive, null if not cached or invalid.
+     */
+    static read(key) {
+        const archivePath = this.#archivePath(key);
+        if (!fs.existsSync(archivePath)) return null;
+
+        try {
+            const metadata = JSON.parse(fs.readFileSync(`${archivePath}${this.#metadataExtension}`, 'utf8'));
+            const buffer = fs.readFileSync(archivePath);
+
+            if (DownloadVerification.checkArchive(buffer).success && this.#sha256(buffer) === metadata.sha256) {
+                return buffer;
+            }
+        } catch (error) {
+            // unreadable metadata, handled like a checksum mismatch.
+        }
+
+        this.#remove(archivePath);
+        return null;
+    }
+
+    /**
+     * Store a verified archive in the cache, a failure to write only means the next download is not cached.
+     *
+     * @param {string} key - The cache key.
+     * @param {Buffer} buffer - The archive.
+     * @returns {boolean} - `true` if the archive was cached, `false` otherwise.
+     */
+    static write(key, buffer) {
+        const archivePath = this.#archivePath(key);
+
+        try {
+            fs.mkdirSync(path.dirname(archivePath), {recursive: true});
+            fs.writeFileSync(archivePath, buffer);
+            fs.writeFileSync(`${archivePath}${this.#metadataExtension}`, JSON.stringify({
+                sha256: this.#sha256(buffer),
+                size: buffer.length,
+                cachedAt: new Date().toISOString(),
+            }, null, 2));
+            return true;
+        } catch (error) {
+            this.#remove(archivePath);
+            return false;
+        }
+    }
+
+    /**
+     * List the cached archives of every repository, newest first.
+     *
+     * @returns {{repository: string, key: string, file: string, size: number, cachedAt: Date}[]} - The cached archives.
+     */
+    static list() {
+        const entries = [];
+        for (const repository of this.#repositories()) {
+            const repositoryPath = path.join(this.directory, ...repository.split('/'));
+
+            for (const file of fs.readdirSync(repositoryPath)) {
+                if (!file.endsWith('.zip')) continue;
+
+                const filePath = path.join(repositoryPath, file);
+                const {size, mtime} = fs.statSync(filePath);
+                entries.push({repository, key: file.slice(0, -'.zip'.length), file: filePath, size, cachedAt: mtime});
+            }
+        }
+
+        return entries.sort((first, second) => second.cachedAt - first.cachedAt);
+    }
+
+    /**
+     * Remove cached archives.
+     *
+     * @param {number|undefined} olderThanDays - Only remove the archives cached before this many days, all if not provided.
+     * @returns {{key: string, repository: string, size: number}[]} - The removed archives.
+     */
+    static clean(olderThanDays = undefined) {
+        const threshold = olderThanDays === undefined ? Infinity : Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+        const removed = this.list().filter(entry => entry.cachedAt.getTime() < threshold);
+
+        removed.forEach(entry => this.#remove(entry.file));
+        return removed;
+    }
+
+    /**
+     * The path of a cached archive for the current download source.
+     *
+     * @param {string} key - The cache key.
+     * @returns {string} - The path.
+     */
+    static #archivePath(key) {
+        const [owner, name] = DownloadSource.repository.split('/').map(part => this.#sanitize(part));
+        return path.join(this.directory, owner, name ?? '', `${key}.zip`);
+    }
+
+    /**
+     * The repositories that have a cache directory.
+     *
+     * @returns {string[]} - The repositories as `owner/name`.
+     */
+    static #repositories() {
+        if (!fs.existsSync(this.directory)) return [];
+
+        const directories = (directory) => fs.readdirSync(directory, {withFileTypes: true})
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name);
+
+        return directories(this.directory).flatMap(owner => {
+            return directories(path.join(this.directory, owner)).map(name => `${owner}/${name}`);
+        });
+    }
+
+    /**
+     * Remove a cached archive & its metadata.
+     *
+     * @param {string} archivePath - The path of the cached archive.
+     */
+    static #remove(archivePath) {
+        fs.rmSync(archivePath, {force: true});
+        fs.rmSync(`${archivePath}${this.#metadataExtension}`, {force: true});
+    }
+
+    /**
+     * Make a value safe to use in a file name, branch names can have slashes.
+     *
+     * @param {string} value - The value.
+     * @returns {string} - The value with anything but letters, digits, `.`, `_` & `-` & the leading dots replaced.
+     */
+    static #sanitize(value) {
+        return value.replace(/[^\w.-]/g, '_').replace(/^\.+/, '_');
+    }
+
+    /**
+     * Compute the SHA-256 hash of a buffer.
+     *
+     * @param {Buffer} buffer - The buffer.
+     * @returns {string} - The hex encoded hash.
+     */
+    static #sha256(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+}
\ No newline at end of file
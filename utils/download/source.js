@@ -0,0 +1,161 @@
+import {ProxyAgent} from 'undici';
+
+/**
+ * A class that describes where Ghosler is downloaded from.
+ *
+ * Defaults to `itznotabug/ghosler` on GitHub, every part can be changed with an environment variable
+ * for forks, GitHub Enterprise or an internal mirror. Requests go through the `HTTPS_PROXY` / `HTTP_PROXY`
+ * proxies when set, except for the hosts listed in `NO_PROXY`.
+ */
+export default class DownloadSource {
+
+    static defaultRepository = 'itznotabug/ghosler';
+    static defaultApiUrl = 'https://api.github.com';
+
+    // the environment variables, see the README.
+    static variables = {
+        repository: 'GHOSLER_REPOSITORY',
+        apiUrl: 'GHOSLER_API_URL',
+        releaseArchiveUrl: 'GHOSLER_RELEASE_ARCHIVE_URL',
+        branchArchiveUrl: 'GHOSLER_BRANCH_ARCHIVE_URL',
+        token: 'GHOSLER_GITHUB_TOKEN',
+    };
+
+    static #proxyAgents = new Map();
+
+    /**
+     * The repository to download Ghosler from.
+     *
+     * @returns {string} - The repository as `owner/name`.
+     */
+    static get repository() {
+        return (process.env[this.variables.repository] || this.defaultRepository).replace(/^\/+|\/+$/g, '');
+    }
+
+    /**
+     * The base url of the GitHub compatible API.
+     *
+     * @returns {string} - The url, without a trailing slash.
+     */
+    static get apiUrl() {
+        return (process.env[this.variables.apiUrl] || this.defaultApiUrl).replace(/\/+$/, '');
+    }
+
+    /**
+     * The url of a repository endpoint of the API.
+     *
+     * @param {string} endpoint - The endpoint relative to the repository, like `/releases/latest`.
+     * @returns {string} - The full url.
+     */
+    static apiEndpoint(endpoint) {
+        return `${this.apiUrl}/repos/${this.repository}${endpoint}`;
+    }
+
+    /**
+     * The url of the source archive of a release.
+     *
+     * @param {string} version - The release version.
+     * @returns {string} - The url.
+     */
+    static releaseArchiveUrl(version) {
+        const template = process.env[this.variables.releaseArchiveUrl] || `${this.#webUrl}/{repository}/archive/refs/tags/{version}.zip`;
+        return template.replaceAll('{repository}', this.repository).replaceAll('{version}', encodeURIComponent(version));
+    }
+
+    /**
+     * The url of the source archive of a branch.
+     *
+     * @param {string} branch - The branch name.
+     * @returns {string} - The url.
+     */
+    static branchArchiveUrl(branch) {
+        const template = process.env[this.variables.branchArchiveUrl] || `${this.#webUrl}/{repository}/archive/refs/heads/{branch}.zip`;
+        return template.replaceAll('{repository}', this.repository).replaceAll('{branch}', branch);
+    }
+
+    /**
+     * The name of the repository, the source archives have a root directory starting with it.
+     *
+     * @returns {string} - The repository name without its owner.
+     */
+    static get repositoryName() {
+        return this.repository.split('/').pop();
+    }
+
+    /**
+     * Fetch a url of the download source.
+     *
+     * The token is only sent to the hosts of the API & the archive urls, never to a third party.
+     *
+     * @param {string} url - The url to fetch.
+     * @param {Object} options - The `fetch` options.
+     * @returns {Promise<Response>} - The response.
+     */
+    static async fetch(url, options = {}) {
+        const headers = {...options.headers};
+        const token = process.env[this.variables.token];
+        if (token && this.#trustedOrigins().includes(new URL(url).origin)) headers['Authorization'] = `Bearer ${token}`;
+
+        const dispatcher = this.#proxy(new URL(url));
+        return await fetch(url, dispatcher ? {...options, headers, dispatcher} : {...options, headers});
+    }
+
+    /**
+     * The web url matching the API, `https://github.com` or the host of a GitHub Enterprise server.
+     *
+     * @returns {string} - The url, without a trailing slash.
+     */
+    static get #webUrl() {
+        // GitHub Enterprise serves its API under `/api/v3` of the same host.
+        const apiUrl = this.apiUrl;
+        return apiUrl.endsWith('/api/v3') ? apiUrl.slice(0, -'/api/v3'.length) : 'https://github.com';
+    }
+
+    /**
+     * The origins that may receive the token.
+     *
+     * @returns {string[]} - The origins of the API & the archive urls.
+     */
+    static #trustedOrigins() {
+        return [this.apiUrl, this.releaseArchiveUrl('version'), this.branchArchiveUrl('branch')]
+            .map(url => new URL(url).origin);
+    }
+
+    /**
+     * The proxy from the environment, only used for the download source & not for the local health checks.
+     *
+     * @param {URL} url - The url to fetch.
+     * @returns {ProxyAgent|undefined} - The proxy agent, undefined if no proxy applies to the url.
+     */
+    static #proxy(url) {
+        const env = process.env;
+        const httpProxy = env.HTTP_PROXY || env.http_proxy;
+        const proxyUrl = url.protocol === 'https:' ? (env.HTTPS_PROXY || env.https_proxy || httpProxy) : httpProxy;
+        if (!proxyUrl || this.#bypassesProxy(url)) return undefined;
+
+        if (!this.#proxyAgents.has(proxyUrl)) this.#proxyAgents.set(proxyUrl, new ProxyAgent(proxyUrl));
+        return this.#proxyAgents.get(proxyUrl);
+    }
+
+    /**
+     * Check whether a url is excluded from the proxy by `NO_PROXY`.
+     *
+     * @param {URL} url - The url to fetch.
+     * @returns {boolean} - `true` if the url must be fetched directly, `false` otherwise.
+     */
+    static #bypassesProxy(url) {
+        const noProxy = (process.env.NO_PROXY || process.env.no_proxy || '').split(/[\s,]+/).filter(Boolean);
+        const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+
+        return noProxy.some(entry => {
+            if (entry === '*') return true;
+
+            const [host, entryPort] = entry.split(':');
+            if (entryPort && entryPort !== port) return false;
+
+            // `.example.com` & `*.example.com` match the sub-domains, like `example.com` does.
+            const domain = host.replace(/^\*?\./, '');
+            return url.hostname === domain || url.hostname.endsWith(`.${domain}`);
+        });
+    }
+}
\ No newline at end of file
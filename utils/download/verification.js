@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import DownloadSource from './source.js';
+
+/**
+ * A class that checks a downloaded Ghosler archive before it is extracted.
+ *
+ * Every archive goes through a size & format check, release archives are also compared
+ * against the SHA-256 checksum published with the release when the release has one.
+ */
+export default class DownloadVerification {
+
+    // the Ghosler source archive is a few hundred kilobytes, anything outside these bounds is not it.
+    static minimumSize = 1024;
+    static maximumSize = 100 * 1024 * 1024;
+
+    // release assets that are read for a checksum, in the `sha256sum` output format.
+    static #checksumFiles = ['SHA256SUMS', 'SHA256SUMS.txt', 'checksums.txt'];
+
+    static #zipSignature = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+    /**
+     * Check that a download is complete & is a zip archive of a sensible size.
+     *
+     * @param {Buffer} buffer - The downloaded archive.
+     * @param {string|null} contentLength - The `Content-Length` header of the response, null if there is none or the response was content-encoded.
+     * @returns {{success: boolean, message: string}} - The result of the check.
+     */
+    static checkArchive(buffer, contentLength = null) {
+        if (contentLength && Number(contentLength) !== buffer.length) {
+            return {
+                success: false,
+                message: `The download is incomplete, received ${buffer.length} of ${contentLength} bytes.`
+            };
+        }
+
+        if (buffer.length < this.minimumSize || buffer.length > this.maximumSize) {
+            return {success: false, message: `The downloaded archive has an unexpected size: ${buffer.length} bytes.`};
+        }
+
+        if (!buffer.subarray(0, this.#zipSignature.length).equals(this.#zipSignature)) {
+            return {success: false, message: 'The download is not a zip archive.'};
+        }
+
+        return {success: true, message: 'The downloaded archive looks valid.'};
+    }
+
+    /**
+     * Find the checksum published with a release for its source archive.
+     *
+     * Either a `<archive>.sha256` asset or a checksum list like `SHA256SUMS` with a line for the archive.
+     *
+     * @param {Object} release - The release object returned by the GitHub API.
+     * @param {string} version - The release version.
+     * @returns {Promise<string|null>} - The hex encoded checksum, null if the release does not publish one.
+     * @throws {Error} - If a checksum asset is published but cannot be downloaded.
+     */
+    static async publishedChecksum(release, version) {
+        const archiveNames = [`${DownloadSource.repositoryName}-${version}.zip`, `${version}.zip`];
+        const assets = release?.assets ?? [];
+
+        for (const asset of assets) {
+            const isSingleChecksum = archiveNames.some(name => asset.name === `${name}.sha256`);
+            if (!isSingleChecksum && !this.#checksumFiles.includes(asset.name)) continue;
+
+            const response = await DownloadSource.fetch(asset.browser_download_url);
+            if (!response.ok) throw new Error(`unable to download the published checksum: ${asset.name}`);
+
+            const checksum = this.#parseChecksum(await response.text(), isSingleChecksum ? null : archiveNames);
+            if (checksum) return checksum;
+        }
+
+        return null;
+    }
+
+    /**
+     * Compare the SHA-256 checksum of a download with the expected one.
+     *
+     * @param {Buffer} buffer - The downloaded archive.
+     * @param {string} expected - The hex encoded checksum.
+     * @returns {{success: boolean, message: string}} - The result of the comparison.
+     */
+    static verifyChecksum(buffer, expected) {
+        const actual = crypto.createHash('sha256').update(buffer).digest('hex');
+        return actual === expected.toLowerCase()
+            ? {success: true, message: 'Checksum verified.'}
+            : {success: false, message: `Checksum mismatch, expected ${expected} but got ${actual}.`};
+    }
+
+    /**
+     * Read a checksum from the contents of a checksum file.
+     *
+     * @param {string} contents - The checksum file, one `<checksum>  <file name>` per line.
+     * @param {string[]|null} archiveNames - The names to look for, null to take the first checksum.
+     * @returns {string|null} - The hex encoded checksum, null if not found.
+     */
+    static #parseChecksum(contents, archiveNames) {
+        for (const line of contents.split('\n')) {
+            const [checksum, fileName] = line.trim().split(/\s+/);
+            if (!/^[a-fA-F0-9]{64}$/.test(checksum ?? '')) continue;
+
+            // `sha256sum` marks binary mode with a leading `*`.
+            if (!archiveNames || archiveNames.includes(fileName?.replace(/^\*/, ''))) return checksum;
+        }
+
+        return null;
+    }
+}
\ No newline at end of file
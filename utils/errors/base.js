@@ -0,0 +1,51 @@
+/**
+ * The base class of the errors a command fails with.
+ *
+ * Each type of error has a distinct exit code & a stable `code` for the `--json` output,
+ * they are caught in `app.js` which reports the message & exits with the code of the error.
+ */
+export default class CliError extends Error {
+
+    static exitCode = 1;
+    static code = 'ERROR';
+
+    /**
+     * Create an error.
+     *
+     * @param {string} message - What went wrong, printed as is.
+     * @param {{cause?: *}|undefined} options - The underlying error, if any.
+     */
+    constructor(message, options = undefined) {
+        super(message, options);
+        this.name = this.constructor.name;
+    }
+
+    /**
+     * The exit code of the process when a command fails with this error.
+     *
+     * @returns {number} - The exit code.
+     */
+    get exitCode() {
+        return this.constructor.exitCode;
+    }
+
+    /**
+     * A stable identifier of the type of error, e.g. `NOT_FOUND`.
+     *
+     * @returns {string} - The code.
+     */
+    get code() {
+        return this.constructor.code;
+    }
+
+    /**
+     * Wrap any thrown value as a CLI error, unexpected errors keep the generic exit code.
+     *
+     * @param {*} error - The thrown value.
+     * @returns {CliError} - The error itself if it already is a CLI error, a wrapper otherwise.
+     */
+    static from(error) {
+        if (error instanceof CliError) return error;
+        return new CliError(error?.message ?? String(error), {cause: error});
+    }
+}
\ No newline at end of file
@@ -0,0 +1,10 @@
+import CliError from './base.js';
+
+/**
+ * Thrown when `ghosler doctor` finds problems with the environment or the instances.
+ */
+export default class ChecksFailedError extends CliError {
+
+    static exitCode = 8;
+    static code = 'CHECKS_FAILED';
+}
\ No newline at end of file
@@ -0,0 +1,10 @@
+import CliError from './base.js';
+
+/**
+ * Thrown when the configuration of an instance is missing, unreadable or invalid.
+ */
+export default class ConfigurationError extends CliError {
+
+    static exitCode = 6;
+    static code = 'CONFIGURATION';
+}
\ No newline at end of file
@@ -0,0 +1,10 @@
+import CliError from './base.js';
+
+/**
+ * Thrown when Ghosler cannot be fetched, like GitHub not responding or an archive failing its verification.
+ */
+export default class DownloadError extends CliError {
+
+    static exitCode = 5;
+    static code = 'DOWNLOAD';
+}
\ No newline at end of file
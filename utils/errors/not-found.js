@@ -0,0 +1,10 @@
+import CliError from './base.js';
+
+/**
+ * Thrown when something a command works on does not exist, like an instance, a backup or a configuration value.
+ */
+export default class NotFoundError extends CliError {
+
+    static exitCode = 3;
+    static code = 'NOT_FOUND';
+}
\ No newline at end of file
@@ -0,0 +1,10 @@
+import CliError from './base.js';
+
+/**
+ * Thrown when a command cannot complete its work on the files of an instance, like a failed backup or a rolled back update.
+ */
+export default class OperationError extends CliError {
+
+    static exitCode = 7;
+    static code = 'OPERATION_FAILED';
+}
\ No newline at end of file
@@ -0,0 +1,10 @@
+import CliError from './base.js';
+
+/**
+ * Thrown when the process manager fails, like PM2 not being installed or an instance not coming online.
+ */
+export default class ProcessManagerError extends CliError {
+
+    static exitCode = 4;
+    static code = 'PROCESS_MANAGER';
+}
\ No newline at end of file
@@ -0,0 +1,10 @@
+import CliError from './base.js';
+
+/**
+ * Thrown when a command is used wrong, like a missing `--name` with multiple instances or an invalid option.
+ */
+export default class UsageError extends CliError {
+
+    static exitCode = 2;
+    static code = 'USAGE';
+}
\ No newline at end of file
@@ -0,0 +1,223 @@
+import {promisify} from 'util';
+import {exec} from 'child_process';
+import ProcessManagerError from '../errors/process-manager.js';
+
+/**
+ * A registered Ghosler instance.
+ *
+ * @typedef {Object} ProcessInfo
+ * @property {string} pid - The process id.
+ * @property {string} name - The name of the instance.
+ * @property {string} path - The path of the instance.
+ * @property {string} runtime - What runs the instance, e.g. `pm2`, `systemd` or `docker`.
+ * @property {string} status - The status, e.g. `online`, `stopped` or `errored`.
+ * @property {number|null} startedAt - When the process was last started, in milliseconds since the epoch.
+ * @property {number} restarts - How many times the process was restarted by its runtime.
+ * @property {number} cpu - The CPU usage in percent.
+ * @property {number} memory - The memory usage in bytes.
+ * @property {{out: string|null, error: string|null}} logs - The paths of the log files.
+ */
+
+/**
+ * Represents an abstract base class for the runtimes that run Ghosler instances, like PM2 or systemd.
+ *
+ * This class cannot be instantiated directly and
+ * requires the subclasses to implement the process management methods.
+ */
+export default class BaseProcessManager {
+
+    /**
+     * The name of the runtime, as given to `ghosler install --runtime` & recorded in the configuration.
+     *
+     * @type {string}
+     */
+    static runtime;
+
+    /**
+     * The human-readable name of the runtime.
+     *
+     * @type {string}
+     */
+    static displayName;
+
+    /**
+     * The executable the runtime is driven with, to tell when it is not installed.
+     *
+     * @type {string}
+     */
+    static executable;
+
+    /**
+     * How to install the runtime when it is missing, as a sentence.
+     *
+     * @type {string}
+     */
+    static installHint;
+
+    static productionEnv = 'NODE_ENV=production';
+    static instanceTypeIdentifier = 'INSTANCE_TYPE_GHOSLER';
+
+    /**
+     * Promisified version of `child_process.exec` for asynchronous command execution.
+     */
+    static #exec = promisify(exec);
+
+    /**
+     * Base constructor, this cannot be instantiated!
+     */
+    constructor() {
+        if (this.constructor === BaseProcessManager) {
+            throw new Error("This class cannot be instantiated!");
+        }
+    }
+
+    /**
+     * Find the version of the runtime.
+     *
+     * @returns {Promise<string|null>} - The version, null if the runtime is not installed.
+     */
+    static async version() {
+        throw new Error("`version` method must be implemented by subclasses.");
+    }
+
+    /**
+     * List the Ghosler instances run by the runtime.
+     *
+     * @returns {Promise<Array<ProcessInfo>>} - The instances.
+     * @throws {ProcessManagerError} - If the runtime fails or is not installed.
+     */
+    static async list() {
+        throw new Error("`list` method must be implemented by subclasses.");
+    }
+
+    /**
+     * Install the dependencies of an instance & start it.
+     *
+     * @param {string} name - The name of the instance.
+     * @param {string} instancePath - The path of the instance.
+     * @returns {Promise<void>} - Nothing.
+     * @throws {ProcessManagerError} - If the runtime fails.
+     */
+    static async register(name, instancePath) {
+        throw new Error("`register` method must be implemented by subclasses.");
+    }
+
+    /**
+     * Restart an instance.
+     *
+     * @param {string} name - The name of the instance.
+     * @param {string|undefined} instancePath - The path of the instance.
+     * @param {boolean} reinstall - Whether to stop the instance & install its dependencies again first.
+     * @returns {Promise<void>} - Nothing.
+     * @throws {ProcessManagerError} - If the instance is not registered or the runtime fails.
+     */
+    static async restart(name, instancePath, reinstall = false) {
+        throw new Error("`restart` method must be implemented by subclasses.");
+    }
+
+    /**
+     * Stop an instance.
+     *
+     * @param {string} name - The name of the instance.
+     * @returns {Promise<void>} - Nothing.
+     * @throws {ProcessManagerError} - If the runtime fails.
+     */
+    static async stop(name) {
+        throw new Error("`stop` method must be implemented by subclasses.");
+    }
+
+    /**
+     * Read the recent logs of an instance.
+     *
+     * @param {string} name - The name of the instance.
+     * @param {string} type - The type of logs, `error` or `out`.
+     * @returns {Promise<string>} - The logs.
+     * @throws {ProcessManagerError} - If the runtime fails.
+     */
+    static async logs(name, type) {
+        throw new Error("`logs` method must be implemented by subclasses.");
+    }
+
+    /**
+     * Empty the log files of an instance.
+     *
+     * @param {string} name - The name of the instance.
+     * @returns {Promise<void>} - Nothing.
+     * @throws {ProcessManagerError} - If the runtime fails.
+     */
+    static async flush(name) {
+        throw new Error("`flush` method must be implemented by subclasses.");
+    }
+
+    /**
+     * Stop an instance & remove it from the runtime, its files are left as they are.
+     *
+     * @param {string} name - The name of the instance.
+     * @returns {Promise<void>} - Nothing.
+     * @throws {ProcessManagerError} - If the runtime fails.
+     */
+    static async uninstall(name) {
+        throw new Error("`uninstall` method must be implemented by subclasses.");
+    }
+
+    /**
+     * Start the instances of the runtime when the server boots.
+     *
+     * @returns {Promise<void>} - Nothing.
+     * @throws {ProcessManagerError} - If the runtime fails.
+     */
+    static async startup() {
+        throw new Error("`startup` method must be implemented by subclasses.");
+    }
+
+    /**
+     * Stop starting the instances of the runtime when the server boots.
+     *
+     * @returns {Promise<void>} - Nothing.
+     * @throws {ProcessManagerError} - If the runtime fails.
+     */
+    static async unstartup() {
+        throw new Error("`unstartup` method must be implemented by subclasses.");
+    }
+
+    /**
+     * Check whether the instances of the runtime are started when the server boots.
+     *
+     * @returns {Promise<{enabled: boolean, message: string}>} - Whether they all are, with the details.
+     * @throws {ProcessManagerError} - If the runtime fails.
+     */
+    static async startupStatus() {
+        throw new Error("`startupStatus` method must be implemented by subclasses.");
+    }
+
+    /**
+     * Check whether an error comes from the runtime not being installed.
+     *
+     * @param {Error} error - The error thrown by one of the methods.
+     * @returns {boolean} - `true` if the executable of the runtime was not found, `false` otherwise.
+     */
+    static isNotInstalled(error) {
+        // the shell exits with 127 when it cannot find the executable.
+        return error?.cause?.code === 127 && Boolean(error.cause.stderr?.includes(this.executable));
+    }
+
+    /**
+     * Executes a shell command asynchronously and returns only the stdout as a string.
+     *
+     * @param {string} command - The shell command to be executed.
+     * @param {string|undefined} cwd - The directory to run the command in, the current one if not provided.
+     * @returns {Promise<string>} - A promise that resolves with the command's stdout.
+     * @throws {ProcessManagerError} - If the command fails, with its error output as the message.
+     */
+    static async execAsync(command, cwd = undefined) {
+        try {
+            const {stdout} = await BaseProcessManager.#exec(command, {cwd});
+            return stdout;
+        } catch (error) {
+            const failure = new ProcessManagerError(`\`${command}\` failed, ${error.stderr?.trim() || error.message}`, {cause: error});
+            if (!this.isNotInstalled(failure)) throw failure;
+
+            throw new ProcessManagerError(`${this.displayName} is not installed or not on the PATH. ${this.installHint}`, {cause: error});
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,281 @@
+import fs from 'fs';
+import path from 'path';
+import Utils from '../utils.js';
+import BaseProcessManager from './base.js';
+import ProcessManagerError from '../errors/process-manager.js';
+
+/**
+ * A class that runs Ghosler instances as Docker containers.
+ *
+ * The image is built from the Dockerfile of the instance, or pulled when the instance has a `ghosler.image`.
+ * The configuration, files & logs stay in the instance directory & are mounted as volumes,
+ * so that updates, backups & restores work on the same files as for the other runtimes.
+ */
+export default class DockerManager extends BaseProcessManager {
+
+    static runtime = 'docker';
+    static displayName = 'Docker';
+    static executable = 'docker';
+    static installHint = 'Install Docker & make sure its daemon is running, see https://docs.docker.com/engine/install/.';
+
+    // the directories of the instance mounted in the container.
+    static #volumes = ['configuration', 'files', '.logs'];
+
+    // older Ghosler versions read their configuration from the root of the instance, mounted when it is there.
+    static #legacyConfigurationFile = 'config.production.json';
+
+    // published on the loopback only, like Ghosler behind a reverse proxy with the other runtimes.
+    static #publishAddress = '127.0.0.1';
+
+    // how many lines `ghosler logs` prints, like `pm2 logs`.
+    static #logLines = 15;
+
+    // the working directory of the Ghosler image, used when the image does not have one.
+    static #defaultWorkingDirectory = '/usr/src/app';
+
+    static #pathLabel = 'ghosler.path';
+
+    static async version() {
+        try {
+            // asks the daemon, the client alone cannot run anything.
+            const output = await this.execAsync(`docker version --format '{{.Server.Version}}'`);
+            return output.trim() || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static async list() {
+        const ids = (await this.execAsync(`docker ps --all --quiet --no-trunc --filter label=${this.instanceTypeIdentifier}`))
+            .split('\n')
+            .map(id => id.trim())
+            .filter(Boolean);
+
+        if (ids.length === 0) return [];
+
+        const containers = JSON.parse(await this.execAsync(`docker inspect ${ids.join(' ')}`));
+        const usage = await this.#usage(containers.filter(container => container.State.Running).map(container => container.Id));
+
+        return containers.map(({Id, Name, State, RestartCount, LogPath, Config}) => ({
+            pid: String(State.Pid),
+            name: Name.replace(/^\//, ''),
+            path: Config.Labels?.[this.#pathLabel],
+            runtime: this.runtime,
+            status: this.#status(State),
+            startedAt: State.Running ? Date.parse(State.StartedAt) || null : null,
+            restarts: RestartCount ?? 0,
+            cpu: usage.get(Id)?.cpu ?? 0,
+            memory: usage.get(Id)?.memory ?? 0,
+            // docker keeps the output & the errors in the same file.
+            logs: {out: LogPath || null, error: LogPath || null},
+        }));
+    }
+
+    static async register(name, instancePath) {
+        const image = await this.#prepareImage(name, instancePath);
+        await this.#run(name, instancePath, image);
+    }
+
+    static async restart(name, instancePath, reinstall = false) {
+        if (!reinstall) {
+            await this.execAsync(`docker restart ${name}`);
+            return;
+        }
+
+        // fails if the container does not exist.
+        const [container] = JSON.parse(await this.execAsync(`docker inspect ${name}`));
+        instancePath ??= container.Config.Labels?.[this.#pathLabel];
+
+        // the files were updated, the container is created again from a new image.
+        const image = await this.#prepareImage(name, instancePath);
+        await this.execAsync(`docker rm --force ${name}`);
+        await this.#run(name, instancePath, image);
+    }
+
+    static async stop(name) {
+        await this.execAsync(`docker stop ${name}`);
+    }
+
+    static async logs(name, type) {
+        // the output & the errors of a container are read from its stdout & stderr.
+        const redirect = type === 'error' ? '2>&1 1>/dev/null' : '2>/dev/null';
+        return (await this.execAsync(`docker logs --tail ${this.#logLines} ${name} ${redirect}`)).trimEnd();
+    }
+
+    static async flush(name) {
+        const logPath = (await this.execAsync(`docker inspect --format '{{.LogPath}}' ${name}`)).trim();
+
+        try {
+            fs.truncateSync(logPath);
+        } catch (error) {
+            throw new ProcessManagerError(`Unable to flush the logs of ${name}, Docker keeps them in ${logPath}: ${error.message}`, {cause: error});
+        }
+    }
+
+    static async uninstall(name) {
+        await this.execAsync(`docker rm --force ${name}`);
+
+        // only the images built by the CLI, a pulled image may be used by other containers.
+        await this.execAsync(`docker image rm ${this.#imageName(name)}`).catch(() => null);
+    }
+
+    /**
+     * Let the Docker daemon start the containers again when the server boots.
+     *
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async startup() {
+        const names = (await this.list()).map(process => process.name);
+        if (names.length > 0) await this.execAsync(`docker update --restart unless-stopped ${names.join(' ')}`);
+    }
+
+    /**
+     * Stop the Docker daemon from starting the containers when the server boots.
+     *
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async unstartup() {
+        const names = (await this.list()).map(process => process.name);
+        if (names.length > 0) await this.execAsync(`docker update --restart no ${names.join(' ')}`);
+    }
+
+    static async startupStatus() {
+        const names = (await this.list()).map(process => process.name);
+        if (names.length === 0) return {enabled: true, message: 'There are no containers to start.'};
+
+        const policies = (await this.execAsync(`docker inspect --format '{{.Name}} {{.HostConfig.RestartPolicy.Name}}' ${names.join(' ')}`))
+            .split('\n')
+            .filter(Boolean)
+            .map(line => line.trim().replace(/^\//, '').split(' '));
+
+        const notStarted = policies.filter(([, policy]) => !['always', 'unless-stopped'].includes(policy)).map(([name]) => name);
+        return notStarted.length > 0
+            ? {enabled: false, message: `These containers are not restarted by Docker: ${notStarted.join(', ')}.`}
+            : {enabled: true, message: 'Docker starts the containers of the instances when its daemon starts.'};
+    }
+
+    /**
+     * Build the image of an instance from its files, or pull the configured one.
+     *
+     * @param {string} name - The name of the instance.
+     * @param {string} instancePath - The path of the instance.
+     * @returns {Promise<string>} - The image to run.
+     * @throws {ProcessManagerError} - If the image cannot be built or pulled.
+     */
+    static async #prepareImage(name, instancePath) {
+        const image = Utils.ghoslerConfiguration(instancePath)?.ghosler?.image;
+        if (image) {
+            await this.execAsync(`docker pull ${image}`);
+            return image;
+        }
+
+        if (!fs.existsSync(path.join(instancePath, 'Dockerfile'))) {
+            throw new ProcessManagerError('This Ghosler version has no Dockerfile to build an image from, use an image with `ghosler config set ghosler.image <image>`.');
+        }
+
+        await this.execAsync(`docker build --tag ${this.#imageName(name)} .`, instancePath);
+        return this.#imageName(name);
+    }
+
+    /**
+     * Create & start the container of an instance.
+     *
+     * @param {string} name - The name of the instance.
+     * @param {string} instancePath - The path of the instance.
+     * @param {string} image - The image to run.
+     * @returns {Promise<void>} - Nothing.
+     * @throws {ProcessManagerError} - If the container cannot be started.
+     */
+    static async #run(name, instancePath, image) {
+        const port = Utils.ghoslerConfiguration(instancePath)?.ghosler?.port ?? 2369;
+
+        const workingDirectory = (await this.execAsync(`docker image inspect --format '{{.Config.WorkingDir}}' ${image}`)).trim() || this.#defaultWorkingDirectory;
+        const volumes = this.#volumes.map(volume => {
+            const hostPath = path.join(path.resolve(instancePath), volume);
+            fs.mkdirSync(hostPath, {recursive: true});
+            return `--volume "${hostPath}:${path.posix.join(workingDirectory, volume)}"`;
+        });
+
+        const legacyConfiguration = path.join(path.resolve(instancePath), this.#legacyConfigurationFile);
+        if (fs.existsSync(legacyConfiguration)) {
+            volumes.push(`--volume "${legacyConfiguration}:${path.posix.join(workingDirectory, this.#legacyConfigurationFile)}"`);
+        }
+
+        // not restarted automatically, like `pm2 start --no-autorestart`.
+        await this.execAsync([
+            'docker run --detach',
+            `--name ${name}`,
+            `--label ${this.instanceTypeIdentifier}`,
+            `--label "${this.#pathLabel}=${path.resolve(instancePath)}"`,
+            `--env ${this.productionEnv}`,
+            `--publish ${this.#publishAddress}:${port}:${port}`,
+            ...volumes,
+            image,
+        ].join(' '));
+    }
+
+    /**
+     * Read the CPU & memory usage of the running containers.
+     *
+     * @param {string[]} ids - The full ids of the running containers.
+     * @returns {Promise<Map<string, {cpu: number, memory: number}>>} - The usage by container id.
+     */
+    static async #usage(ids) {
+        const usage = new Map();
+        if (ids.length === 0) return usage;
+
+        const output = await this.execAsync(`docker stats --no-stream --no-trunc --format '{{.ID}};{{.CPUPerc}};{{.MemUsage}}' ${ids.join(' ')}`);
+        for (const line of output.split('\n').filter(Boolean)) {
+            const [id, cpu, memory] = line.split(';');
+            usage.set(id, {cpu: parseFloat(cpu) || 0, memory: this.#parseBytes(memory.split('/')[0])});
+        }
+
+        return usage;
+    }
+
+    /**
+     * Parse a size printed by `docker stats`, like `52.3MiB`.
+     *
+     * @param {string} value - The size with its unit.
+     * @returns {number} - The size in bytes.
+     */
+    static #parseBytes(value) {
+        const [, amount, unit] = value.trim().match(/^([\d.]+)\s*([a-zA-Z]*)$/) ?? [];
+        const units = {b: 1, kb: 1e3, mb: 1e6, gb: 1e9, kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3};
+        return Math.round(parseFloat(amount ?? 0) * (units[unit?.toLowerCase()] ?? 1));
+    }
+
+    /**
+     * Map the state of a container to the statuses PM2 uses.
+     *
+     * @param {{Status: string, ExitCode: number, OOMKilled: boolean}} state - The `State` of the container.
+     * @returns {string} - `online`, `launching`, `stopping`, `errored` or `stopped`.
+     */
+    static #status(state) {
+        switch (state.Status) {
+            case 'running':
+                return 'online';
+            case 'restarting':
+                return 'launching';
+            case 'removing':
+                return 'stopping';
+            case 'dead':
+                return 'errored';
+            case 'exited':
+                // `docker stop` ends the container with a SIGTERM or a SIGKILL.
+                return [0, 137, 143].includes(state.ExitCode) && !state.OOMKilled ? 'stopped' : 'errored';
+            default:
+                return 'stopped';
+        }
+    }
+
+    /**
+     * The name of the image built for an instance, image names must be lowercase.
+     *
+     * @param {string} name - The name of the instance.
+     * @returns {string} - The image name.
+     */
+    static #imageName(name) {
+        return `ghosler-cli/${name.toLowerCase()}`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,493 @@
+import chalk from 'chalk';
+import Utils from '../utils.js';
+import PM2Manager from './pm2.js';
+import DockerManager from './docker.js';
+import SystemdManager from './systemd.js';
+import NotFoundError from '../errors/not-found.js';
+import ConfigValidator from '../config/validator.js';
+import ConfigurationError from '../errors/configuration.js';
+import ProcessManagerError from '../errors/process-manager.js';
+
+/**
+ * A class that manages the Ghosler instances, whichever runtime runs them.
+ *
+ * Each instance records its runtime in the `ghosler.runtime` value of its configuration,
+ * instances without one were installed with PM2 by older versions of the CLI.
+ */
+export default class ProcessManager {
+
+    static baseAppName = 'ghosler-app';
+    static defaultPort = 2369;
+    static defaultRuntime = PM2Manager.runtime;
+
+    /**
+     * The supported runtimes by their names, read lazily as the runtimes import the utilities that import this class.
+     *
+     * @returns {Object<string, typeof import('./base.js').default>} - The runtimes.
+     */
+    static get #managers() {
+        return {
+            [PM2Manager.runtime]: PM2Manager,
+            [SystemdManager.runtime]: SystemdManager,
+            [DockerManager.runtime]: DockerManager,
+        };
+    }
+
+    /**
+     * Keep a cached list of processes in memory for a fast path quick access.
+     *
+     * @type {Array<import('./base.js').ProcessInfo>}
+     */
+    static #cachedProcessNames = [];
+
+    // the runtimes already reported as unreachable, reported once per command.
+    static #unreachableRuntimes = new Set();
+
+    /**
+     * The names of the supported runtimes.
+     *
+     * @returns {string[]} - The names, e.g. `pm2`, `systemd` & `docker`.
+     */
+    static get runtimes() {
+        return Object.keys(this.#managers);
+    }
+
+    /**
+     * Get the class that drives a runtime.
+     *
+     * @param {string} runtime - The name of the runtime.
+     * @returns {typeof import('./base.js').default} - The runtime.
+     * @throws {ConfigurationError} - If the runtime is not supported.
+     */
+    static manager(runtime) {
+        const manager = this.#managers[runtime];
+        if (!manager) throw new ConfigurationError(`Unknown runtime: ${runtime}, use one of: ${this.runtimes.join(', ')}.`);
+        return manager;
+    }
+
+    /**
+     * Check that a runtime is available to run an instance, the other runtimes may be missing.
+     *
+     * @param {string} runtime - The name of the runtime.
+     * @returns {Promise<typeof import('./base.js').default>} - The runtime.
+     * @throws {ConfigurationError|ProcessManagerError} - If the runtime is unknown or not available.
+     */
+    static async checkRuntime(runtime) {
+        const manager = this.manager(runtime);
+        if (!await manager.version()) {
+            throw new ProcessManagerError(`${manager.displayName} is not available to run the instance. ${manager.installHint}`);
+        }
+
+        return manager;
+    }
+
+    /**
+     * Registers a new instance of the application with its runtime, including dependency installation.
+     * Automatically generates a unique name if multiple instances are to be registered.
+     *
+     * @param {string} branch - The branch the instance is pulled from.
+     * @param {string} instanceName - A custom instance provided by the user.
+     * @param {string} instancePath - The path where the ghosler instance will be installed.
+     * @param {boolean} isForceRestart - Whether this is a force restart via register.
+     * @param {number} defaultPort - The port to use, the next free one is used if it is taken.
+     * @param {string|undefined} runtime - The runtime to run the instance with, the configured one or PM2 if not provided.
+     * @returns {Promise<{status: boolean, message: string}>} - A promise that resolves to the registered status with a message.
+     * @throws {ConfigurationError|ProcessManagerError} - If the configuration or the runtime is invalid, or the runtime fails.
+     */
+    static async register(branch = 'release', instanceName = this.baseAppName, instancePath = process.cwd(), isForceRestart = false, defaultPort = this.defaultPort, runtime = undefined) {
+        const manager = await this.checkRuntime(runtime ?? this.#configuredRuntime(instancePath));
+
+        let appName = instanceName;
+        if (branch !== 'release') appName += `-${branch}`;
+
+        // Generate a unique name if required.
+        appName = !isForceRestart ? await this.#generateUniqueName(appName) : instanceName;
+        if (!isForceRestart) {
+            await Utils.updateConfigurations(branch, appName, instancePath, true, defaultPort);
+            await Utils.updateGhoslerValues(instancePath, {runtime: manager.runtime});
+
+            const preflight = ConfigValidator.preflight(instancePath);
+            if (!preflight.success) throw new ConfigurationError(preflight.message);
+        }
+
+        await manager.register(appName, instancePath);
+        await this.#updateProcesses();
+
+        const runningFine = await this.#checkIfAppOnline(appName);
+
+        return {
+            status: runningFine,
+            message: runningFine
+                ? appName === this.baseAppName
+                    ? `Ghosler instance registered with default process name.`
+                    : `Ghosler instance registered with process name: ${appName}.`
+                : 'There was a problem starting out Ghosler. See logs via `ghosler logs error`'
+        };
+    }
+
+    /**
+     * Force register an older PM2 instance on a migration.
+     *
+     * @param {string} branch - The branch name for the instance.
+     * @param {string} instanceName - An instance name provided by the user.
+     * @param {string} instancePath - The path where the ghosler instance is installed.
+     * @returns {Promise<boolean>} - A promise that resolves to `true` if the register succeeded, `false` otherwise.
+     */
+    static async forceRegisterForMigration(branch = 'release', instanceName = this.baseAppName, instancePath = process.cwd()) {
+        try {
+            await PM2Manager.stop(instanceName);
+            await PM2Manager.uninstall(instanceName);
+            await this.register(branch, instanceName, instancePath, true, this.defaultPort, PM2Manager.runtime);
+            return true;
+        } catch (error) {
+            console.error(error);
+            return false;
+        }
+    }
+
+    /**
+     * Restarts a specified application instance, with optional dependency re-installation.
+     *
+     * @param {string} name - The name of the application instance to restart.
+     * @param {boolean} isUpdate - If true, reinstall dependencies before restarting.
+     * @param {{skipPreflight?: boolean}} options - Whether to restart without checking the configuration first, like on a rollback.
+     * @returns {Promise<{status: boolean, message: string}>} - A promise that resolves to the registered status with a message.
+     * @throws {NotFoundError|ConfigurationError|ProcessManagerError} - If the instance is not found, its configuration is invalid or its runtime fails.
+     */
+    static async restart(name, isUpdate = false, options = {}) {
+        const {skipPreflight = false} = options;
+        let path;
+        let branch;
+        let appName = name;
+        let shouldForceUpdate = isUpdate;
+
+        const instance = await this.getProcess(appName);
+        path = instance?.path;
+
+        if (!instance) {
+            // check if there's currently a package.json in current dir.
+            const packageJson = Utils.fileAsJson(process.cwd(), 'config.production.json');
+            if (packageJson) {
+                const ghosler = packageJson['ghosler'];
+                if (ghosler && ghosler.instance) {
+                    path = process.cwd();
+                    appName = ghosler.instance;
+                    shouldForceUpdate = true;
+                    if (ghosler.branch) branch = ghosler.branch;
+                } else {
+                    throw new NotFoundError('Could not find any active processes or an instance in the current directory.');
+                }
+            } else {
+                throw new NotFoundError('Could not find any active processes or an instance in the current directory.');
+            }
+        }
+
+        // a broken configuration would only show up as a process that does not come online.
+        if (path && !skipPreflight) {
+            const preflight = ConfigValidator.preflight(path);
+            if (!preflight.success) throw new ConfigurationError(preflight.message);
+        }
+
+        const manager = this.manager(instance?.runtime ?? this.#configuredRuntime(path));
+
+        try {
+            await manager.restart(appName, path, shouldForceUpdate);
+        } catch (error) {
+            if (instance) throw error;
+
+            // ignore as the process may not exist, so lets register it instead.
+            if (branch) {
+                return await this.register(branch, appName, path);
+            } else {
+                throw new NotFoundError('Could not find any active processes or an instance in the current directory.');
+            }
+        }
+
+        await this.#updateProcesses();
+
+        const runningFine = await this.#checkIfAppOnline(name);
+
+        return {
+            status: runningFine,
+            message: runningFine
+                ? name === this.baseAppName
+                    ? `Ghosler instance was restarted successfully.`
+                    : `Ghosler instance (${name}) was restarted successfully.`
+                : `There was a problem restarting Ghosler instance (${name}). See logs via \`ghosler logs error\`.`
+        };
+    }
+
+    /**
+     * Retrieves and displays logs for a specified application instance.
+     *
+     * @param {string} name - The name of the application instance.
+     * @param {string} type - The type of logs to display ('error' or 'out').
+     * @throws {NotFoundError|ProcessManagerError} - If the instance is not found or its runtime fails.
+     */
+    static async logs(name, type) {
+        const logs = await (await this.#managerOf(name)).logs(name, type);
+
+        Utils.logResult({name, type, logs});
+        if (!Utils.isJsonOutput) console.log(type === 'error' ? chalk.red(logs) : logs);
+    }
+
+    /**
+     * List the registered Ghosler instances.
+     *
+     * @returns {Promise<string>} - A structured list of registered process if they exist.
+     */
+    static async ls() {
+        const processes = await this.#listProcesses();
+        return processes.length === 0
+            ? 'No Ghosler processes found.' :
+            'List of registered processes (instances):\n' +
+            processes.map((process, index) => {
+                return `  ${index + 1}. Process Name: '${process.name}' (pid: ${process.pid}), Status: ${process.status}, Runtime: ${process.runtime}`;
+            }).join('\n');
+    }
+
+    /**
+     * Uninstalls a specified application instance from its runtime.
+     *
+     * @param {string} name - The name of the ghosler instance to uninstall.
+     * @returns {Promise<string|undefined>} - The path of the provided ghosler instance. Could be `undefined`.
+     * @throws {NotFoundError|ProcessManagerError} - If the instance is not found or the runtimes cannot be listed.
+     */
+    static async uninstall(name) {
+        // read fresh, guessing the runtime would leave the unit or the container of the instance behind.
+        const instance = (await this.#listProcesses(true)).find((process) => process.name === name);
+        if (!instance) throw new NotFoundError(`Unable to find the registered process: ${name}`);
+
+        try {
+            await this.manager(instance.runtime).uninstall(name);
+        } catch (error) {
+            // ignore
+            console.error(error);
+        }
+
+        await this.#updateProcesses();
+
+        return instance.path;
+    }
+
+    /**
+     * Flushes logs for a specified application instance.
+     *
+     * @param {string} name - The name of the application instance.
+     * @throws {NotFoundError|ProcessManagerError} - If the instance is not found or its runtime fails.
+     */
+    static async flush(name) {
+        await (await this.#managerOf(name)).flush(name);
+    }
+
+    /**
+     * Stops a specified application instance.
+     *
+     * @param {string} name - The name of the application instance.
+     * @throws {NotFoundError|ProcessManagerError} - If the instance is not found or its runtime fails.
+     */
+    static async stop(name) {
+        await (await this.#managerOf(name)).stop(name);
+        await this.#updateProcesses();
+    }
+
+    /**
+     * Start the instances when the server boots, with every runtime that runs one.
+     *
+     * @returns {Promise<void>} - Nothing.
+     * @throws {ProcessManagerError} - If a runtime fails.
+     */
+    static async startup() {
+        for (const manager of await this.#managersInUse()) await manager.startup();
+    }
+
+    /**
+     * Stop starting the instances when the server boots, with every runtime that runs one.
+     *
+     * @returns {Promise<void>} - Nothing.
+     * @throws {ProcessManagerError} - If a runtime fails.
+     */
+    static async unstartup() {
+        for (const manager of await this.#managersInUse()) await manager.unstartup();
+    }
+
+    /**
+     * Check whether the instances are started when the server boots, for every runtime that runs one.
+     *
+     * @returns {Promise<Array<{runtime: string, enabled: boolean, message: string}>>} - The status of each runtime.
+     * @throws {ProcessManagerError} - If a runtime fails.
+     */
+    static async startupStatus() {
+        const statuses = [];
+        for (const manager of await this.#managersInUse()) {
+            statuses.push({runtime: manager.runtime, ...await manager.startupStatus()});
+        }
+
+        return statuses;
+    }
+
+    /**
+     * Find the versions of the supported runtimes.
+     *
+     * @returns {Promise<Object<string, string|null>>} - The versions by runtime, null for the ones that are not installed.
+     */
+    static async versions() {
+        const versions = {};
+        for (const [runtime, manager] of Object.entries(this.#managers)) versions[runtime] = await manager.version();
+        return versions;
+    }
+
+    /**
+     * Checks if there are multiple processes registered and return their status.
+     *
+     * @returns {Promise<boolean>} - An promise indicating whether multiple processes are found (true or false).
+     */
+    static async hasMultipleProcesses() {
+        const processes = await this.#listProcesses();
+        return processes.length > 1;
+    }
+
+    /**
+     * List the registered processes.
+     *
+     * @returns {Promise<Array<import('./base.js').ProcessInfo>>} - Registered Processes.
+     */
+    static async listProcesses() {
+        return await this.#listProcesses();
+    }
+
+    /**
+     * Get a registered Ghosler process by its name.
+     *
+     * @param {string} name - The instance to look for by the given name.
+     * @returns {Promise<import('./base.js').ProcessInfo|null>} - The process if found, null otherwise.
+     */
+    static async getProcess(name) {
+        return (await this.listProcesses()).find(process => process.name === name);
+    }
+
+    /**
+     * Update the processes on addition or removal of an instance.
+     *
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async #updateProcesses() {
+        await this.#listProcesses(true);
+    }
+
+    /**
+     * Returns a list of the Ghosler processes of all the runtimes.
+     *
+     * A runtime that is not installed has no processes, a host usually has only one of them.
+     * A runtime that cannot be reached, like a stopped Docker daemon or a missing user bus, is reported
+     * & has no processes either, so that it does not block the instances of the other runtimes.
+     *
+     * @param {boolean} forceUpdate - Whether to force check the list to update the cached list.
+     * @returns {Promise<Array<import('./base.js').ProcessInfo>>} - An array of process info objects.
+     * @throws {ProcessManagerError} - If none of the runtimes is available.
+     */
+    static async #listProcesses(forceUpdate = false) {
+        if (!forceUpdate && this.#cachedProcessNames.length > 0) {
+            return this.#cachedProcessNames;
+        }
+
+        const managers = Object.values(this.#managers);
+        const processes = [];
+        const missing = [];
+        const unreachable = [];
+        for (const manager of managers) {
+            try {
+                processes.push(...await manager.list());
+            } catch (error) {
+                if (!(error instanceof ProcessManagerError)) throw error;
+                (manager.isNotInstalled(error) ? missing : unreachable).push({manager, error});
+            }
+        }
+
+        if (missing.length + unreachable.length === managers.length) throw (unreachable[0] ?? missing[0]).error;
+
+        for (const {manager, error} of unreachable) {
+            if (this.#unreachableRuntimes.has(manager.runtime)) continue;
+
+            this.#unreachableRuntimes.add(manager.runtime);
+            Utils.logWarn(`${manager.displayName} cannot be reached, its instances are not listed. ${error.message}`);
+        }
+
+        this.#cachedProcessNames = processes;
+
+        return processes;
+    }
+
+    /**
+     * Find the runtime of a registered instance.
+     *
+     * @param {string} name - The name of the instance.
+     * @returns {Promise<typeof import('./base.js').default>} - The runtime.
+     * @throws {NotFoundError} - If no instance is registered with the name.
+     */
+    static async #managerOf(name) {
+        const instance = await this.getProcess(name);
+        if (!instance) throw new NotFoundError(`Unable to find the registered process: ${name}`);
+        return this.manager(instance.runtime);
+    }
+
+    /**
+     * Find the runtimes that run at least one of the instances.
+     *
+     * @returns {Promise<Array<typeof import('./base.js').default>>} - The runtimes.
+     */
+    static async #managersInUse() {
+        const runtimes = new Set((await this.#listProcesses()).map(process => process.runtime));
+        return [...runtimes].map(runtime => this.manager(runtime));
+    }
+
+    /**
+     * Read the runtime recorded in the configuration of an instance.
+     *
+     * @param {string|undefined} instancePath - The path of the ghosler instance.
+     * @returns {string} - The runtime, PM2 if none is recorded.
+     */
+    static #configuredRuntime(instancePath) {
+        if (!instancePath) return this.defaultRuntime;
+        return Utils.ghoslerConfiguration(instancePath)?.ghosler?.runtime ?? this.defaultRuntime;
+    }
+
+    /**
+     * Checks if a specified application instance is online and operational.
+     *
+     * @param {string} name - The name of the application instance to check.
+     * @returns {Promise<boolean>} - A promise that resolves to true if online, false otherwise.
+     */
+    static async #checkIfAppOnline(name) {
+        await Utils.sleep(10000);
+        const processes = await this.#listProcesses(true);
+        const process = processes.find(process => process.name === name);
+        return process && process.status === 'online';
+    }
+
+    /**
+     * Generates a unique name for a new instance by checking existing processes.
+     *
+     * @param {string} baseName - The base name for the new instance.
+     * @returns {Promise<string>} - A promise that resolves to a unique name for the instance & whether duplicates were found.
+     */
+    static async #generateUniqueName(baseName) {
+        let maxSuffix = 0;
+        const existingProcesses = await this.#listProcesses();
+
+        existingProcesses.forEach(process => {
+            if (process.name.startsWith(`${baseName}-`)) {
+                const suffix = parseInt(process.name.substring(baseName.length + 1), 10);
+                if (!isNaN(suffix) && suffix > maxSuffix) {
+                    maxSuffix = suffix;
+                }
+            }
+        });
+
+        if (maxSuffix === 0 && !existingProcesses.some(process => process.name === baseName)) {
+            return baseName;
+        } else {
+            return `${baseName}-${maxSuffix + 1}`;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import BaseProcessManager from './base.js';
+
+/**
+ * A class that acts as a wrapper over PM2 to run Ghosler instances.
+ */
+export default class PM2Manager extends BaseProcessManager {
+
+    static runtime = 'pm2';
+    static displayName = 'PM2';
+    static executable = 'pm2';
+    static installHint = 'Install it with `npm install -g pm2`.';
+
+    // older versions of the CLI started the instances without the identifier argument.
+    static #legacyAppName = 'ghosler-app';
+
+    static async version() {
+        try {
+            // the first run also prints the daemon spawn messages, the version is on the last line.
+            const output = await this.execAsync('pm2 --version');
+            return output.trim().split('\n').pop().trim();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static async list() {
+        /**
+         * Warmup PM2.
+         *
+         * This is done because if a PM2 daemon does not exist,
+         * we don't really get a proper response for the following command.
+         */
+        await this.execAsync('pm2 ping');
+
+        const pm2Processes = await this.execAsync('pm2 jlist');
+        if (pm2Processes === '[]') {
+            // return from here as there are no instances registered.
+            return [];
+        }
+
+        return JSON.parse(pm2Processes)
+            .filter(({name, pm2_env: {args}}) =>
+                (args && args.some(arg => arg === this.instanceTypeIdentifier)) ||
+                (!args || args.length === 0) && name.startsWith(this.#legacyAppName)
+            )
+            .map(({pid, name, monit, pm2_env: {pm_cwd, status, pm_uptime, restart_time, pm_out_log_path, pm_err_log_path}}) => ({
+                pid, name, path: pm_cwd, runtime: this.runtime, status,
+                startedAt: pm_uptime ?? null,
+                restarts: restart_time ?? 0,
+                cpu: monit?.cpu ?? 0,
+                memory: monit?.memory ?? 0,
+                logs: {out: pm_out_log_path ?? null, error: pm_err_log_path ?? null},
+            }));
+    }
+
+    static async register(name, instancePath) {
+        await this.execAsync(`${this.productionEnv} npm ci --omit=dev && ${this.productionEnv} pm2 start app.js --no-autorestart --name ${name} -- ${this.instanceTypeIdentifier}`, instancePath);
+    }
+
+    static async restart(name, instancePath, reinstall = false) {
+        if (!reinstall) {
+            await this.execAsync(`pm2 restart ${name}`);
+            return;
+        }
+
+        // fails if the process does not exist.
+        await this.execAsync(`pm2 stop ${name}`);
+        await this.execAsync(`${this.productionEnv} npm ci ${(instancePath) ? `--prefix ${instancePath}` : ''} --omit=dev && ${this.productionEnv} pm2 restart ${name}`);
+    }
+
+    static async stop(name) {
+        await this.execAsync(`pm2 stop ${name}`);
+    }
+
+    static async logs(name, type) {
+        const logs = await this.execAsync(`pm2 logs ${name} ${type === 'error' ? '--err' : '--out'} --nostream`);
+
+        return logs
+            .split('\n')
+            .filter(line => !line.includes('[TAILING]') && !line.includes('.pm2/logs/'))
+            .join('\n');
+    }
+
+    static async flush(name) {
+        await this.execAsync(`pm2 flush ${name}`);
+    }
+
+    static async uninstall(name) {
+        await this.execAsync(`pm2 delete ${name}`);
+    }
+
+    /**
+     * Generates a startup script for the application to enable automatic restarts after a reboot
+     * & saves the process list for the script to restore.
+     *
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async startup() {
+        const result = await this.#startupOutput('pm2 startup');
+        const commandLine = result.split('\n').find(line => line.trim().startsWith('sudo'));
+        const command = commandLine ? commandLine.trim() : 'na';
+
+        if (command !== 'na') await this.execAsync(command);
+
+        await this.execAsync('pm2 save');
+    }
+
+    /**
+     * Generates an unstartup script to disable automatic restarts of the application after a reboot.
+     *
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async unstartup() {
+        const result = await this.#startupOutput('pm2 unstartup');
+        const commandLine = result.split('\n').find(line => line.trim().includes('sudo'));
+        const command = commandLine ? commandLine.trim() : 'na';
+
+        if (command !== 'na') await this.execAsync(command);
+    }
+
+    static async startupStatus() {
+        const user = os.userInfo().username;
+        const script = [
+            `/etc/systemd/system/pm2-${user}.service`,
+            `/etc/init.d/pm2-${user}`,
+            path.join(os.homedir(), 'Library', 'LaunchAgents', `pm2.${user}.plist`),
+        ].find(file => fs.existsSync(file));
+
+        if (!script) return {enabled: false, message: 'The PM2 boot script is not set up.'};
+
+        const saved = this.#savedProcessNames();
+        const names = (await this.list()).map(process => process.name);
+        const unsaved = names.filter(name => !saved.includes(name));
+
+        return unsaved.length > 0
+            ? {enabled: false, message: `The PM2 boot script (${script}) is set up but these instances are not saved: ${unsaved.join(', ')}.`}
+            : {enabled: true, message: `The PM2 boot script (${script}) starts the saved instances: ${names.join(', ')}.`};
+    }
+
+    /**
+     * Read the names of the processes saved by `pm2 save`, the ones the boot script starts.
+     *
+     * @returns {string[]} - The process names, empty if nothing was saved.
+     */
+    static #savedProcessNames() {
+        const pm2Home = process.env.PM2_HOME ?? path.join(os.homedir(), '.pm2');
+
+        try {
+            return JSON.parse(fs.readFileSync(path.join(pm2Home, 'dump.pm2'), 'utf8')).map(app => app.name);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Run `pm2 startup` or `pm2 unstartup`, which exit with an error when the printed command needs to be run with sudo.
+     *
+     * @param {string} command - The command to run.
+     * @returns {Promise<string>} - The output of the command.
+     * @throws {ProcessManagerError} - If the command failed for another reason.
+     */
+    static async #startupOutput(command) {
+        try {
+            return await this.execAsync(command);
+        } catch (error) {
+            const output = error.cause?.stdout ?? '';
+            if (!output.includes('sudo')) throw error;
+            return output;
+        }
+    }
+}
\ No newline at end of file
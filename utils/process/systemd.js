@@ -0,0 +1,297 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import BaseProcessManager from './base.js';
+import ProcessManagerError from '../errors/process-manager.js';
+
+/**
+ * A class that runs Ghosler instances as systemd services.
+ *
+ * The CLI generates a unit for each instance, a system unit when run as root & a user unit otherwise.
+ * The output & errors of an instance are appended to log files in its `.logs` directory.
+ */
+export default class SystemdManager extends BaseProcessManager {
+
+    static runtime = 'systemd';
+    static displayName = 'systemd';
+    static executable = 'systemctl';
+    static installHint = 'The `systemd` runtime needs a Linux server booted with systemd.';
+
+    // how many lines `ghosler logs` prints, like `pm2 logs`.
+    static #logLines = 15;
+
+    // `systemctl show` prints these as `key=value`, the timestamps are parsed in UTC.
+    static #properties = ['MainPID', 'ActiveState', 'SubState', 'ExecMainStartTimestamp', 'NRestarts', 'CPUUsageNSec', 'MemoryCurrent'];
+
+    static async version() {
+        // `systemctl` may be installed without systemd running, like in containers.
+        if (!fs.existsSync('/run/systemd/system')) return null;
+
+        try {
+            const output = await this.execAsync('systemctl --version');
+            return output.match(/^systemd (\d+)/)?.[1] ?? null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static async list() {
+        const directory = this.#unitDirectory();
+        if (!fs.existsSync(directory)) return [];
+
+        const processes = [];
+        for (const file of fs.readdirSync(directory).filter(file => file.endsWith('.service'))) {
+            const unit = fs.readFileSync(path.join(directory, file), 'utf8');
+            if (!unit.includes(this.instanceTypeIdentifier)) continue;
+
+            const name = path.basename(file, '.service');
+            const instancePath = unit.match(/^WorkingDirectory=(.+)$/m)?.[1];
+            const {MainPID, ActiveState, SubState, ExecMainStartTimestamp, NRestarts, CPUUsageNSec, MemoryCurrent} = await this.#show(name);
+
+            const startedAt = Date.parse(ExecMainStartTimestamp) || null;
+            const cpuTime = Number(CPUUsageNSec) / 1e6;
+            const isRunning = ActiveState === 'active' && startedAt;
+
+            processes.push({
+                pid: MainPID, name, path: instancePath, runtime: this.runtime,
+                status: this.#status(ActiveState, SubState),
+                startedAt: startedAt,
+                restarts: Number(NRestarts) || 0,
+                // systemd only tracks the total CPU time, this is the average since the start.
+                cpu: isRunning && cpuTime ? Math.round(cpuTime / (Date.now() - startedAt) * 1000) / 10 : 0,
+                memory: Number(MemoryCurrent) || 0,
+                logs: this.#logFiles(name, instancePath),
+            });
+        }
+
+        return processes;
+    }
+
+    static async register(name, instancePath) {
+        await this.execAsync(`${this.productionEnv} npm ci --omit=dev`, instancePath);
+
+        const logs = this.#logFiles(name, instancePath);
+        fs.mkdirSync(path.dirname(logs.out), {recursive: true});
+
+        fs.mkdirSync(this.#unitDirectory(), {recursive: true});
+        fs.writeFileSync(this.#unitPath(name), this.#unit(name, path.resolve(instancePath), logs));
+
+        await this.#systemctl('daemon-reload');
+        await this.#systemctl(`start ${name}`);
+    }
+
+    static async restart(name, instancePath, reinstall = false) {
+        if (!fs.existsSync(this.#unitPath(name))) throw new ProcessManagerError(`No systemd unit found for ${name}: ${this.#unitPath(name)}`);
+
+        if (reinstall) {
+            await this.#systemctl(`stop ${name}`);
+            await this.execAsync(`${this.productionEnv} npm ci --omit=dev`, instancePath);
+        }
+
+        await this.#systemctl(`restart ${name}`);
+    }
+
+    static async stop(name) {
+        await this.#systemctl(`stop ${name}`);
+    }
+
+    static async logs(name, type) {
+        const logFile = this.#logFiles(name, this.#instancePath(name))[type === 'error' ? 'error' : 'out'];
+        if (!fs.existsSync(logFile)) return '';
+
+        return fs.readFileSync(logFile, 'utf8').trimEnd().split('\n').slice(-this.#logLines).join('\n');
+    }
+
+    static async flush(name) {
+        const logs = this.#logFiles(name, this.#instancePath(name));
+        for (const logFile of [logs.out, logs.error]) {
+            if (fs.existsSync(logFile)) fs.truncateSync(logFile);
+        }
+    }
+
+    static async uninstall(name) {
+        await this.#systemctl(`disable --now ${name}`);
+
+        fs.rmSync(this.#unitPath(name), {force: true});
+        await this.#systemctl('daemon-reload');
+    }
+
+    /**
+     * Enable the units of the instances, user units also need the user to linger to start without a login.
+     *
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async startup() {
+        const names = (await this.list()).map(process => process.name);
+        if (names.length > 0) await this.#systemctl(`enable ${names.join(' ')}`);
+        if (!this.#isSystem()) await this.execAsync(`loginctl enable-linger ${os.userInfo().username}`);
+    }
+
+    /**
+     * Disable the units of the instances, lingering is left as it is as other services may need it.
+     *
+     * @returns {Promise<void>} - Nothing.
+     */
+    static async unstartup() {
+        const names = (await this.list()).map(process => process.name);
+        if (names.length > 0) await this.#systemctl(`disable ${names.join(' ')}`);
+    }
+
+    static async startupStatus() {
+        const disabled = [];
+        for (const {name} of await this.list()) {
+            // exits with an error for the units that are not enabled.
+            const state = await this.#systemctl(`is-enabled ${name}`).catch(() => 'disabled');
+            if (state.trim() !== 'enabled') disabled.push(name);
+        }
+
+        if (disabled.length > 0) return {enabled: false, message: `These units are not enabled: ${disabled.join(', ')}.`};
+        if (this.#isSystem()) return {enabled: true, message: 'The units of the instances are enabled.'};
+
+        const user = os.userInfo().username;
+        const linger = await this.execAsync(`loginctl show-user ${user} --property=Linger`).catch(() => '');
+        return linger.trim() === 'Linger=yes'
+            ? {enabled: true, message: 'The user units of the instances are enabled & start without a login.'}
+            : {enabled: false, message: `The user units of the instances are enabled but only start once ${user} logs in, lingering is off.`};
+    }
+
+    /**
+     * Generate the unit of an instance.
+     *
+     * @param {string} name - The name of the instance.
+     * @param {string} instancePath - The absolute path of the instance.
+     * @param {{out: string, error: string}} logs - The log files of the instance.
+     * @returns {string} - The contents of the unit file.
+     */
+    static #unit(name, instancePath, logs) {
+        // not restarted automatically, like `pm2 start --no-autorestart`.
+        return [
+            '[Unit]',
+            `Description=Ghosler (${name})`,
+            'After=network-online.target',
+            'Wants=network-online.target',
+            '',
+            '[Service]',
+            'Type=simple',
+            `WorkingDirectory=${instancePath}`,
+            `Environment=${this.productionEnv}`,
+            `ExecStart=${process.execPath} app.js ${this.instanceTypeIdentifier}`,
+            `StandardOutput=append:${logs.out}`,
+            `StandardError=append:${logs.error}`,
+            '',
+            '[Install]',
+            `WantedBy=${this.#isSystem() ? 'multi-user.target' : 'default.target'}`,
+            '',
+        ].join('\n');
+    }
+
+    /**
+     * Read the state of a unit.
+     *
+     * @param {string} name - The name of the instance.
+     * @returns {Promise<Object<string, string>>} - The values of the `#properties`.
+     */
+    static async #show(name) {
+        const output = await this.#systemctl(`show ${name} --property=${this.#properties.join(',')}`, 'TZ=UTC');
+
+        return Object.fromEntries(output.split('\n')
+            .filter(line => line.includes('='))
+            .map(line => [line.substring(0, line.indexOf('=')), line.substring(line.indexOf('=') + 1)])
+        );
+    }
+
+    /**
+     * Map the state of a unit to the statuses PM2 uses.
+     *
+     * @param {string} activeState - The `ActiveState` of the unit.
+     * @param {string} subState - The `SubState` of the unit.
+     * @returns {string} - `online`, `launching`, `stopping`, `errored` or `stopped`.
+     */
+    static #status(activeState, subState) {
+        switch (activeState) {
+            case 'active':
+                return subState === 'running' ? 'online' : 'stopped';
+            case 'activating':
+            case 'reloading':
+                return 'launching';
+            case 'deactivating':
+                return 'stopping';
+            case 'failed':
+                return 'errored';
+            default:
+                return 'stopped';
+        }
+    }
+
+    /**
+     * Run a `systemctl` command on the units of the scope.
+     *
+     * @param {string} command - The `systemctl` sub-command & its arguments.
+     * @param {string} env - Environment variables to prefix the command with.
+     * @returns {Promise<string>} - The output of the command.
+     * @throws {ProcessManagerError} - If the command fails.
+     */
+    static async #systemctl(command, env = '') {
+        return await this.execAsync(`${env} systemctl ${this.#isSystem() ? '' : '--user '}${command}`.trim());
+    }
+
+    /**
+     * Find the path of an instance from its unit.
+     *
+     * @param {string} name - The name of the instance.
+     * @returns {string|undefined} - The path of the instance, undefined if there is no unit.
+     */
+    static #instancePath(name) {
+        const unitPath = this.#unitPath(name);
+        if (!fs.existsSync(unitPath)) return undefined;
+
+        return fs.readFileSync(unitPath, 'utf8').match(/^WorkingDirectory=(.+)$/m)?.[1];
+    }
+
+    /**
+     * The log files of an instance.
+     *
+     * @param {string} name - The name of the instance.
+     * @param {string|undefined} instancePath - The path of the instance.
+     * @returns {{out: string|null, error: string|null}} - The paths of the log files, null without a path.
+     */
+    static #logFiles(name, instancePath) {
+        if (!instancePath) return {out: null, error: null};
+
+        return {
+            out: path.join(instancePath, '.logs', `${name}-out.log`),
+            error: path.join(instancePath, '.logs', `${name}-error.log`),
+        };
+    }
+
+    /**
+     * The path of the unit file of an instance.
+     *
+     * @param {string} name - The name of the instance.
+     * @returns {string} - The path.
+     */
+    static #unitPath(name) {
+        return path.join(this.#unitDirectory(), `${name}.service`);
+    }
+
+    /**
+     * The directory of the units the CLI generates, system units as root & user units otherwise.
+     *
+     * @returns {string} - The directory.
+     */
+    static #unitDirectory() {
+        if (this.#isSystem()) return '/etc/systemd/system';
+
+        const configHome = process.env.XDG_CONFIG_HOME ?? path.join(os.homedir(), '.config');
+        return path.join(configHome, 'systemd', 'user');
+    }
+
+    /**
+     * Whether the CLI manages system units, it does when run as root.
+     *
+     * @returns {boolean} - `true` as root, `false` otherwise.
+     */
+    static #isSystem() {
+        return process.getuid?.() === 0;
+    }
+}
\ No newline at end of file
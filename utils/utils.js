@@ -1,10 +1,15 @@
 import fs from 'fs';
+import os from 'os';
 import ora from 'ora';
 import path from 'path';
 import detect from 'detect-port';
 import extract from 'extract-zip';
 import {writeFile} from 'fs/promises';
-import PM2Manager from './pm2/manager.js';
+import ProcessManager from './process/manager.js';
+import Archive from './backup/archive.js';
+import DownloadCache from './download/cache.js';
+import DownloadSource from './download/source.js';
+import DownloadVerification from './download/verification.js';
 
 /**
  * A utility class.
@@ -14,11 +19,17 @@ export default class Utils {
     // Our `ora` spinner.
     static #spinner = ora({color: 'white', spinner: 'dots'});
 
-    // Temporary directory for processing.
-    static #tempDirectory = '.temp';
+    // The messages & data of the command when the output is a single JSON document, see `--json`.
+    static #jsonOutput = null;
+
+    // Temporary directory for processing, outside the current directory which may not be the instance or writable.
+    static #tempDirectory = path.join(os.tmpdir(), `ghosler-cli-${process.pid}`);
+
+    // Directory in the target path to extract the archive to.
+    static #extractDirectory = '.temp-extract';
 
     // Full path to the downloaded Ghosler archive.
-    static #fullArchivePath = `${this.#tempDirectory}/ghosler-latest.zip`;
+    static #fullArchivePath = path.join(this.#tempDirectory, 'ghosler-latest.zip');
 
     /**
      * The version of ghosler-cli.
@@ -26,18 +37,30 @@ export default class Utils {
      * @type {string}
      */
     static cliPackageVersion = '1.0.90';
-    // Urls to download Ghosler from its GitHub source.
-    static ghoslerReleaseUrl = 'https://api.github.com/repos/itznotabug/ghosler/releases/latest';
-    static ghoslerReleaseDownloadUrl = 'https://github.com/itznotabug/ghosler/archive/refs/tags/{version}.zip';
-    static ghoslerBranchDownloadUrl = 'https://github.com/ItzNotABug/ghosler/archive/refs/heads/{branch-name}.zip';
+    // Urls of the Ghosler API, the repository & its host are configurable, see `DownloadSource`.
+    static get ghoslerReleaseUrl() {
+        return DownloadSource.apiEndpoint('/releases/latest');
+    }
+
+    static get ghoslerReleaseByTagUrl() {
+        return DownloadSource.apiEndpoint('/releases/tags/{version}');
+    }
+
+    static get ghoslerReleasesUrl() {
+        return DownloadSource.apiEndpoint('/releases?per_page=100');
+    }
+
+    static get ghoslerBranchCommitUrl() {
+        return DownloadSource.apiEndpoint('/commits/{branch-name}');
+    }
 
     /**
-     * Start the spinner with a log message.
+     * Start the spinner with a log message, nothing is printed in the JSON output mode.
      *
      * @param message - The log message to print.
      */
     static logStart(message) {
-        this.#spinner.start(message);
+        if (!this.#jsonOutput) this.#spinner.start(message);
     }
 
     /**
@@ -46,7 +69,8 @@ export default class Utils {
      * @param message - The log message to print.
      */
     static logFail(message) {
-        this.#spinner.fail(message);
+        if (this.#jsonOutput) this.#jsonOutput.messages.push({type: 'fail', message});
+        else this.#spinner.fail(message);
     }
 
     /**
@@ -55,7 +79,8 @@ export default class Utils {
      * @param message - The log message to print.
      */
     static logSucceed(message) {
-        this.#spinner.succeed(message);
+        if (this.#jsonOutput) this.#jsonOutput.messages.push({type: 'success', message});
+        else this.#spinner.succeed(message);
     }
 
     /**
@@ -64,7 +89,61 @@ export default class Utils {
      * @param message - The log message to print.
      */
     static logWarn(message) {
-        this.#spinner.warn(message);
+        if (this.#jsonOutput) this.#jsonOutput.messages.push({type: 'warn', message});
+        else this.#spinner.warn(message);
+    }
+
+    /**
+     * Print a plain message, like a hint or a list of changes.
+     *
+     * @param message - The message to print.
+     */
+    static logInfo(message) {
+        if (this.#jsonOutput) this.#jsonOutput.messages.push({type: 'info', message});
+        else console.log(message);
+    }
+
+    /**
+     * Record the structured result of a command, only used by the JSON output mode.
+     *
+     * @param {Object} data - The values to add to the result.
+     */
+    static logResult(data) {
+        if (this.#jsonOutput) Object.assign(this.#jsonOutput.data, data);
+    }
+
+    /**
+     * Whether the output is a single JSON document instead of the spinner & messages.
+     *
+     * @returns {boolean} - `true` if the `--json` option is used, `false` otherwise.
+     */
+    static get isJsonOutput() {
+        return this.#jsonOutput !== null;
+    }
+
+    /**
+     * Switch to the JSON output mode, messages & results are collected until `printJsonOutput` is called.
+     *
+     * @param {string} command - The command that is run, e.g. `update` or `config get`.
+     */
+    static enableJsonOutput(command) {
+        this.#jsonOutput ??= {command, messages: [], data: {}};
+    }
+
+    /**
+     * Print the collected messages & results of a command as a single JSON document.
+     *
+     * @param {import('./errors/base.js').default|null} error - The error the command failed with, null if it succeeded.
+     */
+    static printJsonOutput(error = null) {
+        if (!this.#jsonOutput) return;
+
+        const {command, messages, data} = this.#jsonOutput;
+
+        const output = {command, success: !error, data, messages};
+        if (error) output.error = {code: error.code, exitCode: error.exitCode, message: error.message};
+
+        console.log(JSON.stringify(output, null, 2));
     }
 
     /**
@@ -76,20 +155,122 @@ export default class Utils {
     static sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
     /**
-     * Converts the given version into a comparable integer.
+     * Formats a size in bytes into a human-readable string.
+     *
+     * @param {number} bytes - The size in bytes.
+     * @returns {string} - The formatted size, e.g. `1.5 MB`.
+     */
+    static formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+        let size = bytes;
+        let unitIndex = 0;
+        while (size >= 1024 && unitIndex < units.length - 1) {
+            size /= 1024;
+            unitIndex++;
+        }
+
+        return `${unitIndex === 0 ? size : size.toFixed(1)} ${units[unitIndex]}`;
+    }
+
+    /**
+     * Formats a duration into a short human-readable string.
+     *
+     * @param {number} milliseconds - The duration in milliseconds.
+     * @returns {string} - The formatted duration with its two largest units, e.g. `2d 4h` or `5m 10s`.
+     */
+    static formatDuration(milliseconds) {
+        const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+
+        let seconds = Math.max(0, Math.floor(milliseconds / 1000));
+        const parts = [];
+        for (const [unit, size] of units) {
+            const value = Math.floor(seconds / size);
+            seconds -= value * size;
+            if (value > 0 || parts.length > 0) parts.push(`${value}${unit}`);
+        }
+
+        return parts.length === 0 ? '0s' : parts.slice(0, 2).join(' ');
+    }
+
+    /**
+     * Formats rows of values as a table with aligned columns.
+     *
+     * @param {string[]} headers - The column headers.
+     * @param {Array<Array<string|number>>} rows - The rows, one value per column.
+     * @returns {string} - The table, a header line, a separator line & one line per row.
+     */
+    static formatTable(headers, rows) {
+        const lines = [headers, ...rows].map(row => row.map(value => String(value ?? '')));
+        const widths = headers.map((_, column) => Math.max(...lines.map(line => line[column].length)));
+
+        const format = (line) => line.map((value, column) => value.padEnd(widths[column])).join('  ').trimEnd();
+        return [format(lines[0]), widths.map(width => '-'.repeat(width)).join('  '), ...lines.slice(1).map(format)].join('\n');
+    }
+
+    /**
+     * Compares two versions with semantic versioning rules.
+     *
+     * Versions can have any number of numeric parts (`0.95`, `1.0.86`), an optional `v` prefix,
+     * a pre-release tag (`1.0.0-beta.2`) which ranks below the release & build metadata (`+sha`) which is ignored.
      *
-     * @param {string} version - The version in string format.
-     * @returns {number} - The integer version of the provided string format.
+     * @param {string} first - The first version.
+     * @param {string} second - The second version.
+     * @returns {number} - A negative number if `first` is lower, a positive one if it is higher, `0` if both are equal.
      */
-    static versionToInt = (version) => parseInt(version.replace(/\./g, ''), 10);
+    static compareVersions(first, second) {
+        const parse = (version) => {
+            const [core, ...preRelease] = String(version).trim().replace(/^v/i, '').split('+')[0].split('-');
+            return {
+                parts: core.split('.').map(part => parseInt(part, 10) || 0),
+                preRelease: preRelease.length > 0 ? preRelease.join('-').split('.') : [],
+            };
+        };
+
+        const a = parse(first);
+        const b = parse(second);
+
+        // missing parts count as zero, `1.0` equals `1.0.0`.
+        for (let index = 0; index < Math.max(a.parts.length, b.parts.length); index++) {
+            const difference = (a.parts[index] ?? 0) - (b.parts[index] ?? 0);
+            if (difference !== 0) return Math.sign(difference);
+        }
+
+        // a release ranks above its pre-releases.
+        if (a.preRelease.length === 0 || b.preRelease.length === 0) {
+            return Math.sign(b.preRelease.length - a.preRelease.length);
+        }
+
+        for (let index = 0; index < Math.max(a.preRelease.length, b.preRelease.length); index++) {
+            const partA = a.preRelease[index];
+            const partB = b.preRelease[index];
+
+            // a shorter set of identifiers ranks lower.
+            if (partA === undefined) return -1;
+            if (partB === undefined) return 1;
+            if (partA === partB) continue;
+
+            const numericA = /^\d+$/.test(partA);
+            const numericB = /^\d+$/.test(partB);
+
+            // numeric identifiers rank below alphanumeric ones.
+            if (numericA && numericB) return Math.sign(parseInt(partA, 10) - parseInt(partB, 10));
+            if (numericA !== numericB) return numericA ? -1 : 1;
+            return partA < partB ? -1 : 1;
+        }
+
+        return 0;
+    }
 
     /**
-     * Clones the Ghosler repository with the latest release version.
+     * Clones the Ghosler repository with the latest or a specific release version.
      *
      * @param {string} branch - The branch to install Ghosler from.
-     * @returns {Promise<{success: boolean, message: string}>} - The result of the cloning operation, including a success flag and a message.
+     * @param {string|undefined} version - A specific release version to install, the latest release is used if not provided.
+     * @param {boolean} useCache - Whether to reuse & store the archive in the per-user download cache.
+     * @returns {Promise<{success: boolean, message: string, commit?: string}>} - The result of the cloning operation, including a success flag, a message and the commit SHA for branches.
      */
-    static async cloneGhosler(branch = 'release') {
+    static async cloneGhosler(branch = 'release', version = undefined, useCache = true) {
         if (!branch) {
             return {
                 success: false,
@@ -97,22 +278,46 @@ export default class Utils {
             };
         }
 
+        if (version && branch !== 'release') {
+            return {
+                success: false,
+                message: 'A specific version can only be installed from releases, not from a branch.'
+            };
+        }
+
         try {
             // setup.
             if (!fs.existsSync(this.#tempDirectory)) fs.mkdirSync(this.#tempDirectory);
             if (fs.existsSync(this.#fullArchivePath)) fs.unlinkSync(this.#fullArchivePath);
 
+            let commit;
+            let releaseVersion;
             let zipDownloadUrl = '';
 
             if (branch === 'release') {
-                const latestVersion = await this.latestReleaseVersion();
-                if (latestVersion === 'na') return {success: false, message: 'Unable to check for the latest version!'};
-                zipDownloadUrl = this.ghoslerReleaseDownloadUrl.replace('{version}', latestVersion);
+                releaseVersion = version ?? await this.latestReleaseVersion();
+                if (releaseVersion === 'na') return {success: false, message: 'Unable to check for the latest version!'};
+                zipDownloadUrl = DownloadSource.releaseArchiveUrl(releaseVersion);
             } else {
-                zipDownloadUrl = this.ghoslerBranchDownloadUrl.replace('{branch-name}', branch);
+                const latestCommit = await this.latestBranchCommit(branch);
+                if (latestCommit !== 'na') commit = latestCommit;
+                zipDownloadUrl = DownloadSource.branchArchiveUrl(branch);
+            }
+
+            // branches are only cached when their commit is known, the archive changes with every push.
+            let cacheKey = null;
+            if (useCache) {
+                if (releaseVersion) cacheKey = DownloadCache.releaseKey(releaseVersion);
+                else if (commit) cacheKey = DownloadCache.branchKey(branch, commit);
+            }
+
+            const cachedArchive = cacheKey ? DownloadCache.read(cacheKey) : null;
+            if (cachedArchive) {
+                await writeFile(this.#fullArchivePath, cachedArchive);
+                return {success: true, message: 'Cloning complete, using the cached archive.', commit};
             }
 
-            const response = await fetch(zipDownloadUrl);
+            const response = await DownloadSource.fetch(zipDownloadUrl);
             if (response.status !== 200) {
                 // we don't need a '.temp' directory.
                 if (fs.existsSync(this.#tempDirectory)) {
@@ -121,34 +326,89 @@ export default class Utils {
 
                 return {
                     success: false,
-                    message: `Branch '${branch}' not found!`
+                    message: version ? `Version '${version}' not found!` : `Branch '${branch}' not found!`
                 };
             }
 
             const buffer = Buffer.from(await response.arrayBuffer());
+
+            // `fetch` decodes compressed responses, their `Content-Length` is the size before decoding.
+            const encoding = response.headers.get('content-encoding');
+            const contentLength = encoding && encoding !== 'identity' ? null : response.headers.get('content-length');
+            const verification = await this.#verifyDownload(buffer, contentLength, releaseVersion);
+            if (!verification.success) {
+                fs.rmSync(this.#tempDirectory, {recursive: true, force: true});
+                return verification;
+            }
+
             await writeFile(this.#fullArchivePath, buffer);
+            if (cacheKey) DownloadCache.write(cacheKey, buffer);
 
-            return {success: true, message: 'Cloning complete.'};
+            return {success: true, message: `Cloning complete, ${verification.message}`, commit};
         } catch (error) {
             return {success: false, message: error};
         }
     }
 
+    /**
+     * Check a downloaded archive, against the checksum published with the release when there is one.
+     *
+     * @param {Buffer} buffer - The downloaded archive.
+     * @param {string|null} contentLength - The `Content-Length` header of the download, null if the size is unknown.
+     * @param {string|undefined} version - The release version, undefined for branch downloads.
+     * @returns {Promise<{success: boolean, message: string}>} - The result of the verification.
+     */
+    static async #verifyDownload(buffer, contentLength, version) {
+        const archiveCheck = DownloadVerification.checkArchive(buffer, contentLength);
+        if (!archiveCheck.success) return archiveCheck;
+
+        // branch archives are built on the fly, nothing is published for them.
+        if (!version) return {success: true, message: 'no checksum is published for branches.'};
+
+        let checksum;
+        try {
+            checksum = await DownloadVerification.publishedChecksum(await this.#releaseByTag(version), version);
+        } catch (error) {
+            return {success: false, message: `Unable to verify the download, ${error.message}`};
+        }
+
+        if (!checksum) return {success: true, message: 'no published checksum to verify against.'};
+
+        const checksumCheck = DownloadVerification.verifyChecksum(buffer, checksum);
+        return checksumCheck.success
+            ? {success: true, message: 'checksum verified.'}
+            : {success: false, message: `The download does not match the published checksum. ${checksumCheck.message}`};
+    }
+
     /**
      * Extracts the Ghosler application to a specified target path.
      *
      * @param {string} [targetPath=process.cwd()] - The path where the application should be extracted.
+     * @param {boolean} keepDockerFiles - Whether to keep the `Dockerfile` & `.dockerignore`, for the `docker` runtime.
      * @returns {Promise<{success: boolean, message: string}>} - The result of the extraction operation.
      */
-    static async extractGhosler(targetPath = process.cwd()) {
+    static async extractGhosler(targetPath = process.cwd(), keepDockerFiles = false) {
+        // extracted next to the target, a rename across file systems fails.
+        const extractPath = path.join(targetPath, this.#extractDirectory);
+
         try {
-            if (!fs.existsSync(targetPath)) fs.mkdirSync(targetPath);
+            if (!fs.existsSync(targetPath)) fs.mkdirSync(targetPath, {recursive: true});
+
+            const unsafeEntries = await Archive.findUnsafeEntries(this.#fullArchivePath);
+            if (unsafeEntries.length > 0) {
+                return {
+                    success: false,
+                    message: `Refusing to extract, the archive has entries outside the target directory: ${unsafeEntries.join(', ')}`
+                };
+            }
 
-            await extract(this.#fullArchivePath, {dir: targetPath});
+            fs.rmSync(extractPath, {recursive: true, force: true});
+            await extract(this.#fullArchivePath, {dir: extractPath});
 
-            // Identify the extracted directory (assuming it starts with 'project-')
-            const directories = fs.readdirSync(targetPath, {withFileTypes: true})
-                .filter(dirent => dirent.isDirectory() && dirent.name.startsWith('ghosler-'))
+            // Identify the extracted directory (named after the repository, like 'ghosler-0.96')
+            const repositoryName = DownloadSource.repositoryName;
+            const directories = fs.readdirSync(extractPath, {withFileTypes: true})
+                .filter(dirent => dirent.isDirectory() && (dirent.name === repositoryName || dirent.name.startsWith(`${repositoryName}-`)))
                 .map(dirent => dirent.name);
 
             if (directories.length === 0) {
@@ -159,27 +419,77 @@ export default class Utils {
                 return {success: false, message: 'Multiple project directories found, unsure which one to use'};
             }
 
-            const extractedFolder = path.join(targetPath, directories[0]);
+            const extractedFolder = path.join(extractPath, directories[0]);
 
             const files = fs.readdirSync(extractedFolder);
 
+            // the target is only non-empty on a forced install, directories are merged & files replaced.
             files.forEach(file => {
                 const currentPath = path.join(extractedFolder, file);
                 const newPath = path.join(targetPath, file);
-                fs.renameSync(currentPath, newPath);
+                if (fs.existsSync(newPath)) fs.cpSync(currentPath, newPath, {recursive: true, force: true});
+                else fs.renameSync(currentPath, newPath);
             });
 
-            // unnecessary files, remove them.
-            [
-                this.#tempDirectory, extractedFolder,
-                '.gitignore', 'LICENSE.md', 'README.md',
-                'Dockerfile', '.dockerignore', 'docker-install.sh',
-                // we don't need tailwind's build files.
-                `${path.join(targetPath, 'tailwind.config.js')}`,
-                `${path.join(targetPath, 'public/styles/tailwind.css')}`,
-            ].forEach(file => {
-                if (fs.existsSync(file)) fs.rmSync(file, {recursive: true});
+            this.#removeUnnecessaryFiles(targetPath, extractPath, keepDockerFiles);
+            return {success: true, message: 'Directory setup completed.'};
+        } catch (error) {
+            return {success: false, message: error};
+        } finally {
+            // the downloaded archive & the extracted files are removed whether the extraction succeeded or not.
+            fs.rmSync(extractPath, {recursive: true, force: true});
+            fs.rmSync(this.#tempDirectory, {recursive: true, force: true});
+        }
+    }
+
+    /**
+     * Uses a local Ghosler archive instead of downloading one, for hosts without access to GitHub.
+     *
+     * The archive must be laid out like the GitHub source archives, with a `ghosler-*` directory at its root.
+     *
+     * @param {string} archivePath - The path of the local zip archive.
+     * @returns {Promise<{success: boolean, message: string}>} - The result, `extractGhosler` extracts the archive next.
+     */
+    static async stageGhoslerArchive(archivePath) {
+        try {
+            if (!fs.existsSync(archivePath) || !fs.statSync(archivePath).isFile()) {
+                return {success: false, message: `Archive not found: ${archivePath}`};
+            }
+
+            const buffer = fs.readFileSync(archivePath);
+            const archiveCheck = DownloadVerification.checkArchive(buffer);
+            if (!archiveCheck.success) return archiveCheck;
+
+            if (!fs.existsSync(this.#tempDirectory)) fs.mkdirSync(this.#tempDirectory);
+            await writeFile(this.#fullArchivePath, buffer);
+
+            return {success: true, message: `Using local archive: ${path.basename(archivePath)}`};
+        } catch (error) {
+            return {success: false, message: error};
+        }
+    }
+
+    /**
+     * Copies the Ghosler application from a local directory to a specified target path.
+     *
+     * @param {string} sourcePath - A directory with the Ghosler source, like an extracted release.
+     * @param {string} [targetPath=process.cwd()] - The path where the application should be copied.
+     * @param {boolean} keepDockerFiles - Whether to keep the `Dockerfile` & `.dockerignore`, for the `docker` runtime.
+     * @returns {Promise<{success: boolean, message: string}>} - The result of the copy operation.
+     */
+    static async copyGhosler(sourcePath, targetPath = process.cwd(), keepDockerFiles = false) {
+        try {
+            if (!fs.existsSync(path.join(sourcePath, 'package.json'))) {
+                return {success: false, message: `Not a Ghosler directory, no package.json found in: ${sourcePath}`};
+            }
+
+            // dependencies are installed for the target platform, git history is not needed.
+            fs.cpSync(sourcePath, targetPath, {
+                recursive: true,
+                filter: (source) => !['node_modules', '.git'].includes(path.basename(source)),
             });
+
+            this.#removeUnnecessaryFiles(targetPath, undefined, keepDockerFiles);
             return {success: true, message: 'Directory setup completed.'};
         } catch (error) {
             return {success: false, message: error};
@@ -187,12 +497,35 @@ export default class Utils {
     }
 
     /**
-     * Check if there are multiple Ghosler processes registered to PM2.
+     * Removes the files that a Ghosler instance does not need after it is set up.
+     *
+     * @param {string} targetPath - The path where the application was set up.
+     * @param {string|undefined} extractedFolder - The directory the archive was extracted to, if any.
+     * @param {boolean} keepDockerFiles - Whether to keep the `Dockerfile` & `.dockerignore`, for the `docker` runtime.
+     */
+    static #removeUnnecessaryFiles(targetPath, extractedFolder = undefined, keepDockerFiles = false) {
+        [
+            this.#tempDirectory, extractedFolder,
+            ...[
+                '.gitignore', 'LICENSE.md', 'README.md',
+                // the script installs Ghosler without the CLI.
+                'docker-install.sh',
+                ...(keepDockerFiles ? [] : ['Dockerfile', '.dockerignore']),
+                // we don't need tailwind's build files.
+                'tailwind.config.js', 'public/styles/tailwind.css',
+            ].map(file => path.join(targetPath, file)),
+        ].forEach(file => {
+            if (file && fs.existsSync(file)) fs.rmSync(file, {recursive: true});
+        });
+    }
+
+    /**
+     * Check if there are multiple Ghosler processes registered.
      *
      * @returns {Promise<boolean>} - A promise that resolves to `true` if multiple instances are registered, `false` otherwise.
      */
     static async hasMultipleProcesses() {
-        return await PM2Manager.hasMultipleProcesses();
+        return await ProcessManager.hasMultipleProcesses();
     }
 
     /**
@@ -215,13 +548,79 @@ export default class Utils {
      */
     static async latestReleaseVersion() {
         // return '0.2';
-        const response = await fetch(this.ghoslerReleaseUrl);
+        const response = await DownloadSource.fetch(this.ghoslerReleaseUrl);
         if (response.ok) {
             const jsonObject = await response.json();
             return jsonObject.name;
         } else return 'na';
     }
 
+    /**
+     * Retrieves the SHA of the latest commit on a branch of the Ghosler repository.
+     *
+     * @param {string} branch - The branch to check.
+     * @returns {Promise<string>} - The commit SHA, or 'na' if unable to retrieve.
+     */
+    static async latestBranchCommit(branch) {
+        try {
+            const response = await DownloadSource.fetch(this.ghoslerBranchCommitUrl.replace('{branch-name}', branch), {
+                headers: {Accept: 'application/vnd.github.sha'}
+            });
+
+            return response.ok ? (await response.text()).trim() : 'na';
+        } catch (error) {
+            return 'na';
+        }
+    }
+
+    /**
+     * Retrieves the release notes of a Ghosler release.
+     *
+     * @param {string} version - The release version.
+     * @returns {Promise<string|null>} - The release notes in markdown, or null if unable to retrieve.
+     */
+    static async releaseNotes(version) {
+        return (await this.#releaseByTag(version))?.body ?? null;
+    }
+
+    /**
+     * Retrieves a Ghosler release from the GitHub API.
+     *
+     * @param {string} version - The release version.
+     * @returns {Promise<Object|null>} - The release, or null if unable to retrieve.
+     */
+    static async #releaseByTag(version) {
+        try {
+            const response = await DownloadSource.fetch(this.ghoslerReleaseByTagUrl.replace('{version}', version));
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Retrieves the published releases of the Ghosler application, newest first.
+     *
+     * @returns {Promise<Array<{version: string, publishedAt: string, prerelease: boolean}>|null>} - The releases, or null if unable to retrieve.
+     */
+    static async listReleases() {
+        try {
+            const response = await DownloadSource.fetch(this.ghoslerReleasesUrl);
+            if (!response.ok) return null;
+
+            const releases = await response.json();
+            return releases
+                .filter(release => !release.draft)
+                .map(release => ({
+                    version: release.name || release.tag_name,
+                    publishedAt: release.published_at,
+                    prerelease: release.prerelease
+                }));
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Retrieves the current version of Ghosler application, if installed in the given directory.
      *
@@ -280,13 +679,11 @@ export default class Utils {
      */
     static async updateConfigurations(branch, instanceName, instancePath, changePort = true, defaultPort = 2369, isMigration = false) {
         try {
-            const configFileName = 'config.production.json';
-            const newConfigFileName = './configuration/config.production.json';
-            let jsonContent = this.fileAsJson(instancePath, configFileName) ?? this.fileAsJson(instancePath, newConfigFileName);
+            let jsonContent = this.ghoslerConfiguration(instancePath);
 
             if (!jsonContent) return; // what even happened here!?
 
-            const ghoslerConfig = jsonContent['ghosler'];
+            const ghoslerConfig = jsonContent['ghosler'] ??= {};
 
             if (isMigration) {
                 if (!ghoslerConfig.branch) ghoslerConfig.branch = branch;
@@ -298,12 +695,146 @@ export default class Utils {
             }
 
             // just write it anyway...
-            await writeFile(path.join(instancePath, configFileName), JSON.stringify(jsonContent));
+            await this.writeGhoslerConfiguration(instancePath, jsonContent);
         } catch (err) {
             throw err;
         }
     }
 
+    /**
+     * Retrieves the configuration file of a ghosler instance from either its legacy or its current location.
+     *
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @returns {Object|null} - The contents of the configuration file, null if none was found.
+     */
+    static ghoslerConfiguration(instancePath) {
+        const configPath = this.ghoslerConfigurationPath(instancePath);
+        return configPath ? this.fileAsJson(instancePath, path.relative(instancePath, configPath)) : null;
+    }
+
+    /**
+     * Finds the configuration file of a ghosler instance, the legacy location in the root takes precedence.
+     *
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @returns {string|null} - The full path of the configuration file, null if none was found.
+     */
+    static ghoslerConfigurationPath(instancePath) {
+        return ['config.production.json', 'configuration/config.production.json']
+            .map(fileName => path.join(instancePath, fileName))
+            .find(configPath => fs.existsSync(configPath)) ?? null;
+    }
+
+    /**
+     * Merges the given values into an instance configuration file, nested objects are merged & anything else is replaced.
+     *
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @param {Object} values - The values to set, like `{ghost: {url: 'https://...'}}`.
+     * @returns {Promise<boolean>} - `true` if the file was updated, `false` if there is no configuration file.
+     */
+    static async seedConfiguration(instancePath, values) {
+        const jsonContent = this.ghoslerConfiguration(instancePath);
+        if (!jsonContent) return false;
+
+        await this.writeGhoslerConfiguration(instancePath, this.#deepMerge(jsonContent, values));
+        return true;
+    }
+
+    /**
+     * Writes the configuration file of a ghosler instance back to where it was read from, pretty-printed.
+     *
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @param {Object} jsonContent - The whole configuration.
+     * @returns {Promise<string>} - The path of the written file.
+     */
+    static async writeGhoslerConfiguration(instancePath, jsonContent) {
+        const configPath = this.ghoslerConfigurationPath(instancePath) ?? path.join(instancePath, 'config.production.json');
+        await writeFile(configPath, JSON.stringify(jsonContent, null, 2));
+        return configPath;
+    }
+
+    /**
+     * Parses a configuration value given on the command line or in an environment variable.
+     *
+     * @param {string} rawValue - The value as typed.
+     * @returns {*} - The JSON value if it is valid JSON so that numbers, booleans & objects keep their type, the text otherwise.
+     */
+    static parseConfigValue(rawValue) {
+        try {
+            return JSON.parse(rawValue);
+        } catch (error) {
+            return rawValue;
+        }
+    }
+
+    /**
+     * Merges an object into another one, recursively.
+     *
+     * @param {Object} target - The object to merge into.
+     * @param {Object} source - The values to merge.
+     * @returns {Object} - The target object.
+     */
+    static #deepMerge(target, source) {
+        const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+        for (const [key, value] of Object.entries(source)) {
+            if (isObject(value) && isObject(target[key])) this.#deepMerge(target[key], value);
+            else target[key] = value;
+        }
+
+        return target;
+    }
+
+    /**
+     * Merges the given values into the `ghosler` section of an instance configuration file.
+     *
+     * Values set to `undefined` are removed from the file.
+     *
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @param {Object} values - The values to set.
+     * @returns {Promise<boolean>} - `true` if the file was updated, `false` if there is no configuration file.
+     */
+    static async updateGhoslerValues(instancePath, values) {
+        const jsonContent = this.ghoslerConfiguration(instancePath);
+        if (!jsonContent) return false;
+
+        jsonContent['ghosler'] = {...jsonContent['ghosler'], ...values};
+        await this.writeGhoslerConfiguration(instancePath, jsonContent);
+        return true;
+    }
+
+    /**
+     * Checks whether a ghosler instance responds over HTTP on its configured port.
+     *
+     * The instance is polled until it responds or the timeout passes, as it may take a while to start,
+     * like after installing its dependencies or with a cold container.
+     *
+     * @param {string} instancePath - The path of the ghosler instance.
+     * @param {number} timeout - Milliseconds to wait for a healthy response.
+     * @param {number} interval - Milliseconds to wait between two attempts.
+     * @returns {Promise<{success: boolean, message: string}>} - The result of the health check.
+     */
+    static async checkInstanceHealth(instancePath, timeout = 60000, interval = 2000) {
+        const port = this.ghoslerConfiguration(instancePath)?.ghosler?.port ?? 2369;
+        const deadline = Date.now() + timeout;
+
+        let result;
+        do {
+            try {
+                const response = await fetch(`http://localhost:${port}`, {signal: AbortSignal.timeout(Math.max(deadline - Date.now(), 1000))});
+                result = response.status < 500
+                    ? {success: true, message: `Ghosler responded on port ${port}.`}
+                    : {success: false, message: `Ghosler responded with status ${response.status} on port ${port}.`};
+            } catch (error) {
+                result = {success: false, message: `Ghosler did not respond on port ${port}.`};
+            }
+
+            if (result.success) return result;
+            await this.sleep(Math.min(interval, Math.max(deadline - Date.now(), 0)));
+        } while (Date.now() < deadline);
+
+        return {success: false, message: `${result.message} Gave up after ${timeout / 1000}s.`};
+    }
+
     /**
      * Retrieves the contents of the `package.json` file at the given path if one exists.
      *
@@ -319,7 +850,7 @@ export default class Utils {
                 return JSON.parse(packageJsonContent);
             } else return null;
         } catch (error) {
-            console.log(error);
+            console.error(error);
             return null;
         }
     }